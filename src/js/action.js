@@ -45,7 +45,7 @@ URLI.Action = function () {
     // Handle DOWNLOAD
     if (instance.downloadEnabled) {
       // If download enabled auto not enabled, send a message to the popup to update the download preview (if it's open)
-      if (!instance.autoEnabled && (["increment", "decrement", "next", "prev"].includes(action))) {
+      if (!instance.autoEnabled && (["increment", "decrement", "next", "prev", "click"].includes(action))) {
         chrome.tabs.onUpdated.addListener(URLI.Background.tabUpdatedListener);
       }
     }
@@ -53,7 +53,15 @@ URLI.Action = function () {
     switch (action) {
       case "increment":
       case "decrement":
-        if ((instance.errorSkip > 0 && (instance.errorCodes && instance.errorCodes.length > 0) || (instance.errorCodesCustomEnabled && instance.errorCodesCustom && instance.errorCodesCustom.length > 0)) && (!(caller === "popupClickActionButton" || caller === "auto" || caller === "externalExtension") || instance.enhancedMode)) {
+      case "increment1":
+      case "decrement1":
+      case "increment2":
+      case "decrement2":
+      case "increment3":
+      case "decrement3":
+        if (instance.listEnabled) {
+          actionPerformed = list(instance, action, caller, callback);
+        } else if (URLI.ErrorSkip.isEnabled(instance)) {
           actionPerformed = incrementDecrementSkipErrors(instance, action, caller, callback);
         } else {
           actionPerformed = incrementDecrement(instance, action, caller, callback);
@@ -61,7 +69,13 @@ URLI.Action = function () {
         break;
       case "next":
       case "prev":
-        actionPerformed = nextPrev(instance, action, caller, callback);
+        actionPerformed = instance.listEnabled ? list(instance, action, caller, callback) : nextPrev(instance, action, caller, callback);
+        break;
+      case "click":
+        actionPerformed = click(instance, action, caller, callback);
+        break;
+      case "last":
+        actionPerformed = last(instance, action, caller, callback);
         break;
       case "clear":
         actionPerformed = clear(instance, action, caller, callback);
@@ -89,20 +103,31 @@ URLI.Action = function () {
    * Performs an increment or decrement action.
    * 
    * @param instance the instance for this tab
-   * @param action   the action (increment or decrement)
+   * @param action   the action (increment or decrement, optionally followed by a part number, e.g. increment2)
    * @param caller   String indicating who called this function (e.g. command, popup, content script)
    * @param callback the function callback (optional)
    * @private
    */
   function incrementDecrement(instance, action, caller, callback) {
     let actionPerformed = false;
-    // If URLI didn't find a selection, we can't increment or decrement
-    if (instance.selection !== "" && instance.selectionStart >= 0) {
+    // If URLI didn't find a selection, we can't increment or decrement (templates don't need a selection)
+    if ((instance.templateEnabled || (instance.selection !== "" && instance.selectionStart >= 0)) && isPartActionValid(instance, action)) {
+      const url = instance.url;
+      URLI.IncrementDecrement.modifyInstanceURL(action, instance);
+      instance.skipped = [];
+      // If a stop bound was reached, auto should end cleanly after this URL loads (instead of using up its remaining times)
+      if (instance.boundReached && instance.autoEnabled) {
+        instance.autoTimes = 0;
+      }
+      // If the URL didn't change, the selection is already at a stop bound: there's nothing to update, so if auto is on we clear it now
+      if (instance.url === url) {
+        if (instance.autoEnabled) {
+          clear(instance, "clear", caller, callback);
+        }
+        return actionPerformed;
+      }
       actionPerformed = true;
-      const urlProps = URLI.IncrementDecrement.modifyURL(action, instance.url, instance.selection, instance.selectionStart, instance.interval, instance.base, instance.baseCase, instance.leadingZeros);
-      instance.url = urlProps.urlmod;
-      instance.selection = urlProps.selectionmod;
-      chrome.tabs.update(instance.tabId, {url: instance.url});
+      updateTab(instance, instance.url);
       if (instance.enabled) { // Don't store Quick Instances (Instance is never enabled in quick mode)
         URLI.Background.setInstance(instance.tabId, instance);
       }
@@ -112,40 +137,86 @@ URLI.Action = function () {
   }
 
   /**
-   * Performs an increment or decrement action while also skipping errors.
+   * Performs an increment or decrement action while also skipping errors (see URLI.ErrorSkip.skipErrors).
    *
    * @param instance the instance for this tab
-   * @param action   the action (increment or decrement)
+   * @param action   the action (increment or decrement, optionally followed by a part number, e.g. increment2)
    * @param caller   String indicating who called this function (e.g. command, popup, content script)
    * @param callback the function callback (optional)
    * @private
    */
   function incrementDecrementSkipErrors(instance, action, caller, callback) {
     let actionPerformed = false;
-    // If URLI didn't find a selection, we can't increment or decrement
-    if (instance.selection !== "" && instance.selectionStart >= 0) {
+    // If URLI didn't find a selection, we can't increment or decrement (templates don't need a selection)
+    if ((instance.templateEnabled || (instance.selection !== "" && instance.selectionStart >= 0)) && isPartActionValid(instance, action)) {
       actionPerformed = true;
-      //console.log("URLI.Action.incrementDecrementSkipErrors() - performing error skipping, about to execute increment-decrement.js script...");
-      chrome.tabs.executeScript(instance.tabId, {
-        file: "js/increment-decrement.js",
-        runAt: "document_start"
-      }, function () {
-        // This covers a very rare case where the user might be trying to increment the domain and where we lose permissions to execute the script. Fallback to doing a normal increment/decrement operation
-        if (chrome.runtime.lastError) {
-          //console.log("URLI.Action.incrementDecrementSkipErrors() - chrome.runtime.lastError.message:" + chrome.runtime.lastError.message);
-          return incrementDecrement(instance, action, caller, callback);
-        }
-        const code = "URLI.IncrementDecrement.modifyURLAndSkipErrors(" +
-          JSON.stringify(action) + ", " +
-          JSON.stringify(instance) + ", " +
-          JSON.parse(instance.errorSkip) + ");";
-        // No callback because this will be executing async code and then sending a message back to the background
-        chrome.tabs.executeScript(instance.tabId, {code: code, runAt: "document_start"});
-      });
+      URLI.ErrorSkip.skipErrors(instance, action, updateSkipErrors);
     }
     return actionPerformed;
   }
 
+  /**
+   * Updates the tab and instance after the errors have been skipped.
+   *
+   * @param instance the instance for this tab with the URL to update to
+   * @private
+   */
+  function updateSkipErrors(instance) {
+    // If a stop bound was reached, auto should end cleanly after this URL loads
+    if (instance.boundReached && instance.autoEnabled) {
+      instance.autoTimes = 0;
+    }
+    updateTab(instance, instance.url);
+    if (instance.enabled) { // Don't store Quick Instances (Instance is never enabled in quick mode)
+      URLI.Background.setInstance(instance.tabId, instance);
+    }
+    chrome.runtime.sendMessage({greeting: "updatePopupInstance", instance: instance});
+  }
+
+  /**
+   * Performs a last action: finds the last page and goes to it (see URLI.ErrorSkip.findLastPage). The popup is sent
+   * the search's progress while it's probing URLs.
+   *
+   * @param instance the instance for this tab
+   * @param action   the action (last)
+   * @param caller   String indicating who called this function (e.g. command, popup, content script)
+   * @param callback the function callback (optional)
+   * @private
+   */
+  function last(instance, action, caller, callback) {
+    return URLI.ErrorSkip.findLastPage(instance, function(progress) {
+      chrome.runtime.sendMessage({greeting: "updatePopupLastPage", tabId: instance.tabId, progress: progress});
+    }, function(lastPage) {
+      if (lastPage) {
+        // The last page was probed with a multiplied interval and stop bounds, which the instance keeps as they were
+        instance.url = lastPage.url;
+        instance.selection = lastPage.selection;
+        instance.selectionStart = lastPage.selectionStart;
+        instance.multi = lastPage.multi;
+        instance.derived = lastPage.derived;
+        instance.skipped = [];
+        updateTab(instance, instance.url);
+        URLI.Background.setInstance(instance.tabId, instance);
+      }
+      chrome.runtime.sendMessage({greeting: "updatePopupLastPage", tabId: instance.tabId, progress: undefined});
+      chrome.runtime.sendMessage({greeting: "updatePopupInstance", instance: instance});
+    });
+  }
+
+  /**
+   * Checks if the action can be performed on this instance's parts. Actions without a part number (e.g. increment) are
+   * always valid. Part actions (e.g. increment2) require multi to be enabled and the part to exist.
+   *
+   * @param instance the instance for this tab
+   * @param action   the action (increment or decrement, optionally followed by a part number, e.g. increment2)
+   * @return {boolean} true if the action is valid for this instance, false otherwise
+   * @private
+   */
+  function isPartActionValid(instance, action) {
+    const partNumber = +action.replace(/^\D+/, "");
+    return !partNumber || (instance.multiEnabled && partNumber <= instance.multiCount);
+  }
+
   /**
    * Performs a next or prev action.
    * 
@@ -158,23 +229,151 @@ URLI.Action = function () {
   function nextPrev(instance, action, caller, callback) {
     let actionPerformed = true;
     chrome.tabs.executeScript(instance.tabId, {file: "js/next-prev.js", runAt: "document_end"}, function() {
-      const code = "URLI.NextPrev.findNextPrevURL(" +
+      // The page's URL is returned with the links because the instance's URL isn't always up to date (e.g. after a click)
+      const code = "({\"pageURL\": document.location.href, \"urls\": URLI.NextPrev.findNextPrevURLs(document, document.location.href, " +
         JSON.stringify(action) + ", " + 
         JSON.stringify(instance.nextPrevLinksPriority) + ", " + 
-        JSON.parse(instance.nextPrevSameDomainPolicy) + ");";
+        JSON.parse(instance.nextPrevSameDomainPolicy) + ", " +
+        JSON.stringify(instance.nextPrevKeywords) + ", " +
+        JSON.stringify(instance.nextPrevRules) + ")});";
       chrome.tabs.executeScript(instance.tabId, {code: code, runAt: "document_end"}, function(results) {
-        if (results && results[0]) {
-          const url = results[0];
-          chrome.tabs.update(instance.tabId, {url: url});
-          if (instance.autoEnabled && (instance.autoAction === "next" || instance.autoAction === "prev")) {
-            //console.log("URLI.Action.nextPrev() - setting instance in background");
-            instance.url = url;
-            URLI.Background.setInstance(instance.tabId, instance);
+        if (results && results[0] && results[0].urls.length > 0) {
+          // If error skip is on, the links are checked first and the best one that isn't an error is used
+          if (URLI.ErrorSkip.isNextPrevEnabled(instance)) {
+            URLI.ErrorSkip.skipNextPrevErrors(instance, action, results[0].urls, results[0].pageURL, url => updateNextPrev(instance, url));
+          } else {
+            instance.skipped = [];
+            updateNextPrev(instance, results[0].urls[0]);
+          }
+        }
+      });
+    });
+    return actionPerformed;
+  }
+
+  /**
+   * Performs a click action: clicks the page's best next element (e.g. a Next button without a link that paginates
+   * with JavaScript). See URLI.Click.click. If auto is clicking and there's no element left to click, auto is cleared.
+   *
+   * Whether an element was found is only known after the script runs, so the icon feedback is given here instead of
+   * by performAction: the click badge if an element was clicked, or the click fail badge if there was none.
+   *
+   * @param instance the instance for this tab
+   * @param action   the action (click)
+   * @param caller   String indicating who called this function (e.g. command, popup, content script)
+   * @param callback the function callback (optional)
+   * @private
+   */
+  function click(instance, action, caller, callback) {
+    let actionPerformed = false;
+    chrome.tabs.executeScript(instance.tabId, {file: "js/next-prev.js", runAt: "document_end"}, function() {
+      chrome.tabs.executeScript(instance.tabId, {file: "js/click.js", runAt: "document_end"}, function() {
+        const code = "URLI.Click.click(" +
+          JSON.stringify(instance.nextPrevLinksPriority) + ", " +
+          JSON.stringify(instance.nextPrevKeywords) + ", " +
+          JSON.stringify(instance.nextPrevRules) + ");";
+        chrome.tabs.executeScript(instance.tabId, {code: code, runAt: "document_end"}, function(results) {
+          if (chrome.runtime.lastError || !results || !results[0]) {
+            if (instance.autoEnabled && instance.autoAction === "click") {
+              clear(instance, "clear", caller, callback);
+            } else {
+              URLI.Background.setBadge(instance.tabId, "clickfail", true);
+            }
+            return;
+          }
+          if (!instance.autoEnabled) {
+            chrome.storage.sync.get(null, function(items) {
+              if (items.iconFeedbackEnabled) {
+                URLI.Background.setBadge(instance.tabId, action, true);
+              }
+            });
           }
           chrome.runtime.sendMessage({greeting: "updatePopupInstance", instance: instance});
+        });
+      });
+    });
+    return actionPerformed;
+  }
+
+  /**
+   * Updates the tab and instance after the next or prev URL has been found.
+   *
+   * @param instance the instance for this tab
+   * @param url      the next or prev URL to update to
+   * @private
+   */
+  function updateNextPrev(instance, url) {
+    updateTab(instance, url);
+    if (instance.autoEnabled && (instance.autoAction === "next" || instance.autoAction === "prev")) {
+      //console.log("URLI.Action.nextPrev() - setting instance in background");
+      instance.url = url;
+      URLI.Background.setInstance(instance.tabId, instance);
+    }
+    chrome.runtime.sendMessage({greeting: "updatePopupInstance", instance: instance});
+  }
+
+  /**
+   * Updates the tab to the URL. If the instance's navigation is in page, the page navigates to the URL itself without
+   * reloading (see URLI.Navigation.navigate). The tab is updated normally if the page can't (e.g. the URL is on a
+   * different site or the script can't be executed on this page).
+   *
+   * @param instance the instance for this tab
+   * @param url      the URL to update the tab to
+   * @public
+   */
+  function updateTab(instance, url) {
+    if (instance.navigation !== "inpage") {
+      chrome.tabs.update(instance.tabId, {url: url});
+      return;
+    }
+    chrome.tabs.executeScript(instance.tabId, {file: "js/navigation.js", runAt: "document_start"}, function() {
+      if (chrome.runtime.lastError) {
+        chrome.tabs.update(instance.tabId, {url: url});
+        return;
+      }
+      const code = "URLI.Navigation.navigate(" + JSON.stringify(url) + ");";
+      chrome.tabs.executeScript(instance.tabId, {code: code, runAt: "document_start"}, function(results) {
+        if (chrome.runtime.lastError || !results || !results[0]) {
+          chrome.tabs.update(instance.tabId, {url: url});
         }
       });
     });
+  }
+
+  /**
+   * Performs a list action by moving forward (increment or next) or backward (decrement or prev) through the instance's
+   * list of URLs. Part actions (e.g. increment2) don't apply to lists.
+   *
+   * @param instance the instance for this tab
+   * @param action   the action (increment, decrement, next, or prev)
+   * @param caller   String indicating who called this function (e.g. command, popup, content script)
+   * @param callback the function callback (optional)
+   * @private
+   */
+  function list(instance, action, caller, callback) {
+    let actionPerformed = false;
+    const forward = action === "increment" || action === "next",
+          position = instance.listPosition + (forward ? 1 : -1);
+    if (!forward && action !== "decrement" && action !== "prev") {
+      return actionPerformed;
+    }
+    // If we're already at the start or end of the list, there's nowhere to go, so if auto is on we clear it now
+    if (position < 0 || position >= instance.list.length) {
+      if (instance.autoEnabled) {
+        clear(instance, "clear", caller, callback);
+      }
+      return actionPerformed;
+    }
+    actionPerformed = true;
+    instance.listPosition = position;
+    instance.url = instance.list[position];
+    // If this is the last URL in this direction, auto should end cleanly after this URL loads
+    if (instance.autoEnabled && (forward ? position === instance.list.length - 1 : position === 0)) {
+      instance.autoTimes = 0;
+    }
+    updateTab(instance, instance.url);
+    URLI.Background.setInstance(instance.tabId, instance);
+    chrome.runtime.sendMessage({greeting: "updatePopupInstance", instance: instance});
     return actionPerformed;
   }
 
@@ -296,6 +495,7 @@ URLI.Action = function () {
 
   // Return Public Functions
   return {
-    performAction: performAction
+    performAction: performAction,
+    updateTab: updateTab
   };
 }();
\ No newline at end of file
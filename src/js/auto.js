@@ -154,73 +154,115 @@ URLI.Auto = function () {
    * The chrome.tabs.onUpdated auto listener that fires every time a tab is updated.
    * Decides whether or not to set the autoTimeout based on the instance's current properties.
    * Also decides when it is time to delete the instance when the auto times count has reached 0.
+   * If the instance navigates in page, a URL change without a status (e.g. a hash change or history.pushState) means
+   * the new page has loaded, so it counts as both loading and complete.
    *
    * @param tabId      the tab ID
-   * @param changeInfo the status (either complete or loading)
+   * @param changeInfo the status (either complete or loading) or the url if it changed in page
    * @param tab        the tab object
    * @private
    */
   function autoListener(tabId, changeInfo, tab) {
     //console.log("URLI.Auto.autoListener() - the chrome.tabs.onUpdated auto listener is on!");
     // Cache loading and complete for maybe a small performance gain since we need to check multiple times?
-    const loading = changeInfo.status === "loading",
-          complete = changeInfo.status === "complete";
+    const inPage = !changeInfo.status && !!changeInfo.url,
+          loading = changeInfo.status === "loading" || inPage,
+          complete = changeInfo.status === "complete" || inPage;
     // We only care about loading and complete statuses
     if (!loading && !complete) {
       return;
     }
     const instance = URLI.Background.getInstance(tabId);
+    // In page URL changes are only page loads for instances that navigate in page (otherwise the page may just be changing its own URL)
+    if (inPage && (!instance || instance.navigation !== "inpage")) {
+      return;
+    }
     // If auto is enabled for this instance
     if (instance && instance.autoEnabled) {
-      // Loading Only:
-      if (loading) {
-        // If autoWait is on, we set the wait boolean to true in case the user tries to pause/resume (e.g. start) the timeout while the tab is loading
-        if (instance.autoWait) {
-          setAutoWait(instance, true);
-        }
-        // Set the "AUTO" Browser Action Badge as soon as we can (loading). This needs to be done each time the tab is updated
-        if (instance.autoPaused) {
-          URLI.Background.setBadge(tabId, "autopause", false);
-        }
-        else if (instance.autoBadge === "times") {
-          URLI.Background.setBadge(tabId, "autotimes", false, (instance.autoTimes) + "");
-        } else {
-          URLI.Background.setBadge(tabId, "auto", false);
-        }
+      updateAuto(instance, loading, complete);
+    } else if (complete) { // Removes any stray auto listeners that may possibly exist
+      removeAutoListener();
+    }
+  }
+
+  /**
+   * The click listener that is called when a click action has completed in the tab (see URLI.Click). A click that
+   * changed the page (its DOM or URL) is treated like a page load, so auto sets its timeout for the next click. A click
+   * that didn't change anything means there are no more pages, so auto is cleared.
+   *
+   * @param tabId   the tab ID
+   * @param changed whether the click changed the page
+   * @public
+   */
+  function clickListener(tabId, changed) {
+    const instance = URLI.Background.getInstance(tabId);
+    if (!instance || !instance.autoEnabled || instance.autoAction !== "click") {
+      return;
+    }
+    if (changed) {
+      updateAuto(instance, true, true);
+    } else {
+      URLI.Action.performAction(instance, "clear", "auto");
+    }
+  }
+
+  /**
+   * Updates the instance's auto state after its page has loaded (or is loading): sets the badge and the auto timeout
+   * for the next action, or clears the instance when the auto times count has reached 0.
+   *
+   * @param instance the instance with auto enabled
+   * @param loading  whether the page is loading
+   * @param complete whether the page has completed loading
+   * @private
+   */
+  function updateAuto(instance, loading, complete) {
+    const tabId = instance.tabId;
+    // Loading Only:
+    if (loading) {
+      // If autoWait is on, we set the wait boolean to true in case the user tries to pause/resume (e.g. start) the timeout while the tab is loading
+      if (instance.autoWait) {
+        setAutoWait(instance, true);
       }
-      // Complete Only:
-      if (complete) {
-        // If download enabled, send a message to the popup to update the download preview (if it's open)
-        // Note: Do NOT send this message at Loading because it doesn't refresh properly sometimes (even though the download script runs at document_end)
-        if (instance.downloadEnabled) {
-          chrome.runtime.sendMessage({greeting: "updatePopupDownloadPreview", instance: instance});
-        }
+      // Set the "AUTO" Browser Action Badge as soon as we can (loading). This needs to be done each time the tab is updated
+      if (instance.autoPaused) {
+        URLI.Background.setBadge(tabId, "autopause", false);
       }
-      // AutoWait (Complete or Loading) :
-      if (instance.autoWait ? complete : loading) {
-        // If autoWait is on, we now set the wait boolean to false indicating a pause/resume (e.g. start) can start the timeout
-        if (instance.autoWait) {
-          setAutoWait(instance, false);
-        }
-        // If the auto instance was paused, this is almost considered a no-op
-        if (instance.autoPaused) {
-          // Clear the instance if auto is paused but the times count is at 0 or less (TODO: is this really needed, we need to treat paused differently?)
-          if (instance.autoTimes <= 0) {
-            URLI.Action.performAction(instance, "clear", "auto");
-          }
-        }
-        // If autoTimes is still greater than 0, set the auto timeout, else clear the instance
-        // Note: Remember, the first time Auto is already done via Popup calling setAutoTimeout()
-        else if (instance.autoTimes > 0) {
-          clearAutoTimeout(instance); // Prevents adding multiple timeouts (e.g. if user manually navigated the auto tab)
-          setAutoTimeout(instance);
-        } else {
-          // Note: clearing will clearAutoTimeout and removeAutoListener, so we don't have to do it here
+      else if (instance.autoBadge === "times") {
+        URLI.Background.setBadge(tabId, "autotimes", false, (instance.autoTimes) + "");
+      } else {
+        URLI.Background.setBadge(tabId, "auto", false);
+      }
+    }
+    // Complete Only:
+    if (complete) {
+      // If download enabled, send a message to the popup to update the download preview (if it's open)
+      // Note: Do NOT send this message at Loading because it doesn't refresh properly sometimes (even though the download script runs at document_end)
+      if (instance.downloadEnabled) {
+        chrome.runtime.sendMessage({greeting: "updatePopupDownloadPreview", instance: instance});
+      }
+    }
+    // AutoWait (Complete or Loading) :
+    if (instance.autoWait ? complete : loading) {
+      // If autoWait is on, we now set the wait boolean to false indicating a pause/resume (e.g. start) can start the timeout
+      if (instance.autoWait) {
+        setAutoWait(instance, false);
+      }
+      // If the auto instance was paused, this is almost considered a no-op
+      if (instance.autoPaused) {
+        // Clear the instance if auto is paused but the times count is at 0 or less (TODO: is this really needed, we need to treat paused differently?)
+        if (instance.autoTimes <= 0) {
           URLI.Action.performAction(instance, "clear", "auto");
         }
       }
-    } else if (complete) { // Removes any stray auto listeners that may possibly exist
-      removeAutoListener();
+      // If autoTimes is still greater than 0, set the auto timeout, else clear the instance
+      // Note: Remember, the first time Auto is already done via Popup calling setAutoTimeout()
+      else if (instance.autoTimes > 0) {
+        clearAutoTimeout(instance); // Prevents adding multiple timeouts (e.g. if user manually navigated the auto tab)
+        setAutoTimeout(instance);
+      } else {
+        // Note: clearing will clearAutoTimeout and removeAutoListener, so we don't have to do it here
+        URLI.Action.performAction(instance, "clear", "auto");
+      }
     }
   }
 
@@ -228,7 +270,8 @@ URLI.Auto = function () {
   return {
     startAutoTimer: startAutoTimer,
     stopAutoTimer: stopAutoTimer,
-    pauseOrResumeAutoTimer: pauseOrResumeAutoTimer
+    pauseOrResumeAutoTimer: pauseOrResumeAutoTimer,
+    clickListener: clickListener
   };
 }();
 
@@ -15,10 +15,14 @@ URLI.Background = function () {
     /* icon */        "iconColor": "dark", "iconFeedbackEnabled": false,
     /* popup */       "popupButtonSize": 32, "popupAnimationsEnabled": true, "popupOpenSetup": true, "popupSettingsCanOverwrite": true,
     /* shortcuts */   "quickEnabled": true,
-    /* key */         "keyEnabled": true, "keyQuickEnabled": true, "keyIncrement": [6, "ArrowUp"], "keyDecrement": [6, "ArrowDown"], "keyNext": [6, "ArrowRight"], "keyPrev": [6, "ArrowLeft"], "keyClear": [6, "KeyX"], "keyAuto": [6, "KeyA"],
-    /* mouse */       "mouseEnabled": false, "mouseQuickEnabled": false, "mouseIncrement": -1, "mouseDecrement": -1, "mouseNext": -1, "mousePrev": -1, "mouseClear": -1, "mouseAuto": -1,
-    /* incdec */      "selectionPriority": "prefixes", "interval": 1, "leadingZerosPadByDetection": true, "base": 10, "baseCase": "lowercase", "errorSkip": 0, "errorCodes": ["404", "", "", ""], "errorCodesCustomEnabled": false, "errorCodesCustom": [], "selectionCustom": { "url": "", "pattern": "", "flags": "", "group": 0, "index": 0 },
-    /* nextprev */    "nextPrevLinksPriority": "attributes", "nextPrevSameDomainPolicy": true, "nextPrevPopupButtons": false,
+    /* key */         "keyEnabled": true, "keyQuickEnabled": true, "keyIncrement": [6, "ArrowUp"], "keyDecrement": [6, "ArrowDown"], "keyNext": [6, "ArrowRight"], "keyPrev": [6, "ArrowLeft"], "keyClear": [6, "KeyX"], "keyAuto": [6, "KeyA"], "keyClick": [], "keyIncrement1": [], "keyDecrement1": [], "keyIncrement2": [], "keyDecrement2": [], "keyIncrement3": [], "keyDecrement3": [],
+    /* mouse */       "mouseEnabled": false, "mouseQuickEnabled": false, "mouseIncrement": -1, "mouseDecrement": -1, "mouseNext": -1, "mousePrev": -1, "mouseClear": -1, "mouseAuto": -1, "mouseClick": -1,
+    /* incdec */      "selectionPriority": "prefixes", "interval": 1, "leadingZerosPadByDetection": true, "base": 10, "baseCase": "lowercase", "baseDateFormat": "yyyy/mm/dd", "baseDateUnit": "days", "boundBehavior": "stop", "negativeEnabled": false, "baseAlphabet": null, "baseWordList": null,
+                      "alphabets": [{ "name": "a-z", "characters": "abcdefghijklmnopqrstuvwxyz", "counting": "bijective" }, { "name": "0-9A-Za-z", "characters": "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz", "counting": "positional" }],
+                      "wordLists": [{ "name": "Months", "words": ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"] }, { "name": "Short Months", "words": ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] }, { "name": "Weekdays", "words": ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"] }, { "name": "Sizes", "words": ["small", "medium", "large"] }],
+                      "templates": [],
+                      "errorSkip": 0, "errorCodes": ["404", "", "", ""], "errorCodesCustomEnabled": false, "errorCodesCustom": [], "errorContentRules": [], "duplicateAction": "off", "errorRetryAttempts": 3, "errorRetryDelay": 1, "errorRetryTimeout": 10, "selectionCustom": { "url": "", "pattern": "", "flags": "", "group": 0, "index": 0 }, "selectionParamNames": ["page", "p", "start", "offset"], "selectionExcludeOrigin": true, "navigation": "reload",
+    /* nextprev */    "nextPrevLinksPriority": "attributes", "nextPrevSameDomainPolicy": true, "nextPrevPopupButtons": false, "nextPrevKeywords": null, "nextPrevKeywordPacks": [], "nextPrevRules": [],
     /* auto */        "autoAction": "increment", "autoTimes": 10, "autoSeconds": 5, "autoWait": true, "autoBadge": "times",
     /* download */    "downloadStrategy": "extensions", "downloadExtensions": [], "downloadTags": [], "downloadAttributes": [], "downloadSelector": "", "downloadIncludes": [], "downloadExcludes": [], "downloadMinMB": null, "downloadMaxMB": null, "downloadPreview": ["thumb", "extension", "tag", "compressed"],
     /* fun */         "urli": "loves incrementing for you"
@@ -28,8 +32,17 @@ URLI.Background = function () {
   BROWSER_ACTION_BADGES = {
     "increment": { "text": "+",    "backgroundColor": "#1779BA" },
     "decrement": { "text": "-",    "backgroundColor": "#1779BA" },
+    "increment1":{ "text": "+1",   "backgroundColor": "#1779BA" },
+    "decrement1":{ "text": "-1",   "backgroundColor": "#1779BA" },
+    "increment2":{ "text": "+2",   "backgroundColor": "#1779BA" },
+    "decrement2":{ "text": "-2",   "backgroundColor": "#1779BA" },
+    "increment3":{ "text": "+3",   "backgroundColor": "#1779BA" },
+    "decrement3":{ "text": "-3",   "backgroundColor": "#1779BA" },
     "next":      { "text": ">",    "backgroundColor": "#05854D" },
     "prev":      { "text": "<",    "backgroundColor": "#05854D" },
+    "click":     { "text": "CLK",  "backgroundColor": "#05854D" },
+    "clickfail": { "text": "CLK",  "backgroundColor": "#FF0000" },
+    "last":      { "text": ">|",   "backgroundColor": "#1779BA" },
     "clear":     { "text": "X",    "backgroundColor": "#FF0000" },
     "auto":      { "text": "AUTO", "backgroundColor": "#FF6600" },
     "autotimes": { "text": "",     "backgroundColor": "#FF6600" },
@@ -104,16 +117,29 @@ URLI.Background = function () {
    * @public
    */
   function buildInstance(tab, items) {
-    const selectionProps = URLI.IncrementDecrement.findSelection(tab.url, items.selectionPriority, items.selectionCustom);
+    const selectionProps = URLI.IncrementDecrement.findSelection(tab.url, items.selectionPriority, items.selectionCustom, items.base, items.baseDateFormat, items.baseWordList, items.selectionParamNames, items.selectionExcludeOrigin);
+    // If negative numbers are allowed, a negative sign right before the selection is part of it (e.g. offset=-20)
+    // The sign has to come right after a delimiter, otherwise it's a separator (e.g. the - in item-20 or 2024-05)
+    if (items.negativeEnabled && (!isNaN(items.base) || items.base === "decimal") && selectionProps.selectionStart > 1 &&
+        tab.url.charAt(selectionProps.selectionStart - 1) === "-" && "=/?&#".includes(tab.url.charAt(selectionProps.selectionStart - 2))) {
+      selectionProps.selection = "-" + selectionProps.selection;
+      selectionProps.selectionStart--;
+    }
     return {
           "enabled": false, "autoEnabled": false, "downloadEnabled": false, "autoPaused": false, "enhancedMode": items.permissionsEnhancedMode,
-          "tabId": tab.id, "url": tab.url,
-          "selection": selectionProps.selection, "selectionStart": selectionProps.selectionStart,
-          "leadingZeros": items.leadingZerosPadByDetection && selectionProps.selection.charAt(0) === '0' && selectionProps.selection.length > 1,
-          "interval": items.interval,
-          "base": items.base, "baseCase": items.baseCase,
-          "errorSkip": items.errorSkip, "errorCodes": items.errorCodes, "errorCodesCustomEnabled": items.errorCodesCustomEnabled, "errorCodesCustom": items.errorCodesCustom,
-          "nextPrevLinksPriority": items.nextPrevLinksPriority, "nextPrevSameDomainPolicy": items.nextPrevSameDomainPolicy,
+          "tabId": tab.id, "url": tab.url, "navigation": items.navigation,
+          "selection": selectionProps.selection, "selectionStart": selectionProps.selectionStart, "selectionParam": selectionProps.selectionParam || null,
+          "leadingZeros": items.leadingZerosPadByDetection && items.base !== "date" && selectionProps.selection.charAt(0) === '0' && selectionProps.selection.length > 1,
+          // Only decimal numbers can have a fractional interval (e.g. if the popup saved 0.05 and the base was changed in the options later) and only bases 2-36 and alphabets can have a huge (string) interval
+          "interval": items.base === "decimal" || Number.isSafeInteger(items.interval) || ((!isNaN(items.base) || items.base === "alphabet") && /^\d+$/.test(items.interval)) ? items.interval : 1,
+          "base": items.base, "baseCase": items.baseCase, "baseDateFormat": items.baseDateFormat, "baseDateUnit": items.baseDateUnit, "baseAlphabet": items.baseAlphabet, "baseWordList": items.baseWordList,
+          "multiEnabled": false, "multiCount": 0, "multi": [], "derived": [],
+          "boundMin": "", "boundMax": "", "boundBehavior": items.boundBehavior, "negativeEnabled": items.negativeEnabled, "boundReversed": false, "boundReached": false,
+          "shuffleEnabled": false, "shuffleStart": "", "shuffleEnd": "", "shuffleOrder": [], "shufflePosition": -1, "shuffleSwaps": {},
+          "listEnabled": false, "list": [], "listPosition": -1,
+          "templateEnabled": false, "template": "", "templateStart": 0, "templateEnd": "", "templateValue": 0,
+          "errorSkip": items.errorSkip, "errorCodes": items.errorCodes, "errorCodesCustomEnabled": items.errorCodesCustomEnabled, "errorCodesCustom": items.errorCodesCustom, "errorContentRules": items.errorContentRules, "skipped": [], "duplicateAction": items.duplicateAction, "fingerprint": null, "errorRetryAttempts": items.errorRetryAttempts, "errorRetryDelay": items.errorRetryDelay, "errorRetryTimeout": items.errorRetryTimeout,
+          "nextPrevLinksPriority": items.nextPrevLinksPriority, "nextPrevSameDomainPolicy": items.nextPrevSameDomainPolicy, "nextPrevKeywords": URLI.NextPrev.buildKeywords(items.nextPrevKeywords, items.nextPrevKeywordPacks), "nextPrevRules": items.nextPrevRules,
           "autoAction": items.autoAction, "autoTimesOriginal": items.autoTimes, "autoTimes": items.autoTimes, "autoSeconds": items.autoSeconds, "autoWait": items.autoWait, "autoBadge": items.autoBadge,
           "downloadStrategy": items.downloadStrategy, "downloadExtensions": items.downloadExtensions, "downloadTags": items.downloadTags, "downloadAttributes": items.downloadAttributes, "downloadSelector": items.downloadSelector,
           "downloadIncludes": items.downloadIncludes, "downloadExcludes": items.downloadExcludes,
@@ -208,19 +234,8 @@ URLI.Background = function () {
           }
         });
         break;
-      case "incrementDecrementSkipErrors":
-        if (request.instance) {
-          chrome.tabs.update(request.instance.tabId, {url: request.instance.url});
-          if (request.instance.enabled) { // Don't store Quick Instances (Instance is never enabled in quick mode)
-            URLI.Background.setInstance(request.instance.tabId, request.instance);
-          }
-          chrome.runtime.sendMessage({greeting: "updatePopupInstance", instance: request.instance});
-        }
-        break;
-      case "setBadgeSkipErrors":
-        if (request.errorCode && request.instance && !request.instance.autoEnabled) {
-          setBadge(sender.tab.id, "skip", true, request.errorCode + "");
-        }
+      case "clickComplete":
+        URLI.Auto.clickListener(sender.tab.id, request.changed);
         break;
       default:
         break;
@@ -267,14 +282,16 @@ URLI.Background = function () {
    * @public
    */
   function commandListener(command) {
-    if (command === "increment" || command === "decrement" || command === "next" || command === "prev" || command === "auto" || command === "clear")  {
+    const partCommand = /^(increment|decrement)[1-3]$/.test(command);
+    if (command === "increment" || command === "decrement" || command === "next" || command === "prev" || command === "click" || command === "auto" || command === "clear" || partCommand)  {
       chrome.storage.sync.get(null, function(items) {
         if (!items.permissionsInternalShortcuts) {
           chrome.tabs.query({active: true, lastFocusedWindow: true}, function(tabs) {
             if (tabs && tabs[0]) { // for example, tab may not exist if command is called while in popup window
               let instance = getInstance(tabs[0].id);
-              if ((command === "increment" || command === "decrement" || command === "next" || command === "prev") && (items.quickEnabled || (instance && instance.enabled)) ||
+              if ((command === "increment" || command === "decrement" || command === "next" || command === "prev" || command === "click") && (items.quickEnabled || (instance && instance.enabled)) ||
                   (command === "auto" && instance && instance.autoEnabled) ||
+                  (partCommand && instance && instance.enabled && instance.multiEnabled) ||
                   (command === "clear" && instance && (instance.enabled || instance.autoEnabled || instance.downloadEnabled))) {
                 if (!instance && items.quickEnabled) {
                   instance = buildInstance(tabs[0], items);
@@ -0,0 +1,94 @@
+/**
+ * URL Incrementer
+ * @copyright © 2020 Roy Six
+ * @license https://github.com/sixcious/url-incrementer/blob/main/LICENSE
+ */
+
+var URLI = URLI || {};
+
+URLI.Click = function () {
+
+  const SETTLE_TIME = 500, // The time (in ms) the page's DOM has to stop changing for the click to be complete
+        MAX_WAIT_TIME = 10000; // The longest time (in ms) to wait for the page to change after the click
+
+  /**
+   * Finds the best next element to click (see URLI.NextPrev.findNextPrevElements) and clicks it. Then the page is
+   * watched until its DOM stops changing, and the background is sent a clickComplete message saying if the page
+   * changed. If the click navigates to a new page instead, the page unloads before sending it (and auto treats the
+   * new page's load like any other).
+   *
+   * @param priority the link priority to use: attributes or innerHTML
+   * @param keywords the keywords to use (see URLI.NextPrev.buildKeywords)
+   * @param rules    the per-site rules (see URLI.NextPrev.findRuleURLs)
+   * @return {boolean} true if an element was clicked, false if none was found
+   * @public
+   */
+  function click(priority, keywords, rules) {
+    const element = URLI.NextPrev.findNextPrevElements(document, document.location.href, "next", priority, keywords, rules)[0];
+    if (!element) {
+      return false;
+    }
+    observe();
+    dispatchClick(element);
+    return true;
+  }
+
+  /**
+   * Dispatches a real click on the element: the pointer and mouse events a user's click fires (some sites listen for
+   * pointerdown or mousedown instead of click), then the click itself, which also performs the element's default
+   * action (e.g. following a link or submitting a form).
+   *
+   * @param element the element to click
+   * @private
+   */
+  function dispatchClick(element) {
+    const rect = element.getBoundingClientRect(),
+          init = { bubbles: true, cancelable: true, composed: true, view: window, button: 0, clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 },
+          pointerInit = Object.assign({ pointerId: 1, pointerType: "mouse", isPrimary: true }, init);
+    element.dispatchEvent(new PointerEvent("pointerdown", pointerInit));
+    element.dispatchEvent(new MouseEvent("mousedown", Object.assign({ buttons: 1 }, init)));
+    if (typeof element.focus === "function") {
+      element.focus();
+    }
+    element.dispatchEvent(new PointerEvent("pointerup", pointerInit));
+    element.dispatchEvent(new MouseEvent("mouseup", init));
+    element.click();
+  }
+
+  /**
+   * Observes the page's DOM after the click. The click is complete when the DOM stops changing (or the max wait time
+   * is reached), and the background is sent whether the page changed (its DOM or its URL, e.g. history.pushState).
+   *
+   * @private
+   */
+  function observe() {
+    const url = document.location.href;
+    let changed = false, unloading = false, settleTimeout = undefined;
+    const complete = function() {
+      observer.disconnect();
+      clearTimeout(settleTimeout);
+      clearTimeout(maxTimeout);
+      window.removeEventListener("pagehide", pagehide);
+      if (!unloading) {
+        chrome.runtime.sendMessage({greeting: "clickComplete", changed: changed || document.location.href !== url});
+      }
+    },
+    pagehide = function() {
+      unloading = true;
+      complete();
+    },
+    observer = new MutationObserver(function() {
+      changed = true;
+      clearTimeout(settleTimeout);
+      settleTimeout = setTimeout(complete, SETTLE_TIME);
+    }),
+    maxTimeout = setTimeout(complete, MAX_WAIT_TIME);
+    window.addEventListener("pagehide", pagehide);
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+  }
+
+  // Return Public Functions
+  return {
+    click: click
+  };
+}();
@@ -0,0 +1,551 @@
+/**
+ * URL Incrementer
+ * @copyright © 2020 Roy Six
+ * @license https://github.com/sixcious/url-incrementer/blob/main/LICENSE
+ */
+
+var URLI = URLI || {};
+
+URLI.ErrorSkip = function () {
+
+  const LAST_PAGE_MAX_OFFSET = 2 ** 32, // The furthest a last page search will probe from the current URL
+        RETRY_STATUSES = [429, 503], // The statuses of rate-limited (or temporarily unavailable) responses that are retried
+        RETRY_MAX_DELAY = 120, // The longest (in seconds) to wait before a retry, even if Retry-After asks for longer
+        DUPLICATE_SKIP_MAX = 10, // The most duplicate pages in a row to skip before it's treated like reaching a stop bound
+        lastPageSearches = new Set(); // The tabIds with a last page search in progress
+
+  /**
+   * Modifies the instance's URL by performing the action, and keeps performing it to skip URLs that return an error
+   * (up to the instance's errorSkip times). The URLs are checked from the background, so they can be on any origin the
+   * extension has host permissions for, and no script has to be executed in the page.
+   *
+   * If the instance has content rules for the URL's site, the page's content is downloaded and checked too, so that
+   * pages that don't return an error code (soft 404s like "Page not found") can be skipped.
+   *
+   * If duplicate checking is on, the page's main content is fingerprinted and compared with the current page's. A
+   * duplicate page (e.g. a gallery that shows its last page for every page number after it) is either skipped (up to
+   * DUPLICATE_SKIP_MAX times in a row, separately from errorSkip) or treated like reaching a stop bound, so that auto
+   * ends instead of loading the same page again and again.
+   *
+   * The URLs that were skipped are reported in the instance's skipped array, each with the reason it was skipped (the
+   * error code, "RED" for a redirect, "CON" and the content rule that the page failed, or "DUP" for a duplicate).
+   *
+   * @param instance the instance containing the URL properties and error codes
+   * @param action   the action to perform (increment or decrement, optionally followed by a part number, e.g. increment2)
+   * @param callback the function to call with the instance when the URL to go to has been found
+   * @public
+   */
+  function skipErrors(instance, action, callback) {
+    instance.skipped = [];
+    // The current page's fingerprint is needed to know if the next page is a duplicate of it
+    if (isDuplicateCheckEnabled(instance) && (!instance.fingerprint || instance.fingerprint.url !== instance.url)) {
+      const url = instance.url;
+      instance.fingerprint = null;
+      fetchWithRetry(url, { credentials: "include" }, instance).then(response => response.text()).then(getFingerprint).then(function(fingerprint) {
+        instance.fingerprint = { "url": url, "hash": fingerprint };
+      }).catch(e => {
+        //console.log("URLI.ErrorSkip.skipErrors() - the current page couldn't be fingerprinted:" + e);
+      }).then(function() {
+        checkURL(instance, action, instance.errorSkip, DUPLICATE_SKIP_MAX, callback);
+      });
+    } else {
+      checkURL(instance, action, instance.errorSkip, DUPLICATE_SKIP_MAX, callback);
+    }
+  }
+
+  /**
+   * Checks if the instance has anything to check URLs for: errors to skip (error codes or content rules, if errorSkip
+   * is more than 0) or duplicate pages.
+   *
+   * @param instance the instance containing the error skip properties
+   * @return {boolean} true if the URLs should be checked, false otherwise
+   * @public
+   */
+  function isEnabled(instance) {
+    return (instance.errorSkip > 0 && hasErrorChecks(instance)) || isDuplicateCheckEnabled(instance);
+  }
+
+  /**
+   * Checks if the instance has any error codes or content rules.
+   *
+   * @param instance the instance containing the error codes and content rules
+   * @return {boolean} true if the instance has error codes or content rules, false otherwise
+   * @private
+   */
+  function hasErrorChecks(instance) {
+    return hasErrorCodes(instance) || !!(instance.errorContentRules && instance.errorContentRules.length > 0);
+  }
+
+  /**
+   * Checks if the instance has any error codes (including custom ones).
+   *
+   * @param instance the instance containing the error codes
+   * @return {boolean} true if the instance has error codes, false otherwise
+   * @private
+   */
+  function hasErrorCodes(instance) {
+    return !!((instance.errorCodes && instance.errorCodes.length > 0) ||
+              (instance.errorCodesCustomEnabled && instance.errorCodesCustom && instance.errorCodesCustom.length > 0));
+  }
+
+  /**
+   * Checks if the instance checks for duplicate pages.
+   *
+   * @param instance the instance containing the duplicate action
+   * @return {boolean} true if duplicate pages are skipped or stop the instance, false otherwise
+   * @private
+   */
+  function isDuplicateCheckEnabled(instance) {
+    return instance.duplicateAction === "skip" || instance.duplicateAction === "stop";
+  }
+
+  /**
+   * Performs the action on the instance and checks its new URL, performing the action again if it's an error.
+   *
+   * @param instance               the instance containing the URL properties and error codes
+   * @param action                 the action to perform (increment or decrement, optionally followed by a part number, e.g. increment2)
+   * @param errorSkipRemaining     the number of times left to skip errors while performing this action
+   * @param duplicateSkipRemaining the number of times left to skip duplicates while performing this action
+   * @param callback               the function to call with the instance when the URL to go to has been found
+   * @private
+   */
+  function checkURL(instance, action, errorSkipRemaining, duplicateSkipRemaining, callback) {
+    URLI.IncrementDecrement.modifyInstanceURL(action, instance);
+    const checkErrors = errorSkipRemaining > 0 && hasErrorChecks(instance),
+          checkDuplicates = isDuplicateCheckEnabled(instance) && !!instance.fingerprint,
+          rules = checkErrors ? getContentRules(instance) : [];
+    // If a stop bound was reached, there are no more URLs to skip to
+    if (instance.boundReached || (!checkErrors && !checkDuplicates)) {
+      callback(instance);
+      return;
+    }
+    // The page's content is only needed (and downloaded) if there are content rules to check it with or it's fingerprinted
+    fetchWithRetry(instance.url, { method: rules.length > 0 || checkDuplicates ? "GET" : "HEAD", credentials: "include" }, instance).then(function(response) {
+      const errorCode = checkErrors ? getErrorCode(response, instance) : undefined;
+      if (errorCode || (rules.length === 0 && !checkDuplicates)) {
+        return { "errorCode": errorCode };
+      }
+      return response.text().then(function(text) {
+        const rule = findFailedContentRule(text, rules);
+        if (rule) {
+          return { "errorCode": "CON", "rule": rule };
+        }
+        return checkDuplicates ? getFingerprint(text).then(fingerprint => ({ "fingerprint": fingerprint })) : {};
+      });
+    }).then(function(result) {
+      const duplicate = !!result.fingerprint && result.fingerprint === instance.fingerprint.hash;
+      // Duplicates are skipped like errors, but with their own number of skips
+      if (result.errorCode || (duplicate && instance.duplicateAction === "skip" && duplicateSkipRemaining > 0)) {
+        const errorCode = result.errorCode || "DUP";
+        // Only need to set the badge the first time an error code is encountered
+        if (instance.skipped.length === 0 && !instance.autoEnabled) {
+          URLI.Background.setBadge(instance.tabId, "skip", true, errorCode);
+        }
+        instance.skipped.push({"url": instance.url, "errorCode": errorCode, "rule": result.rule});
+        checkURL(instance, action, result.errorCode ? errorSkipRemaining - 1 : errorSkipRemaining, result.errorCode ? duplicateSkipRemaining : duplicateSkipRemaining - 1, callback);
+      } else {
+        // A duplicate that isn't skipped (or too many in a row) means there are no new pages left, which is treated like reaching a stop bound
+        if (duplicate) {
+          instance.boundReached = true;
+          if (!instance.autoEnabled) {
+            URLI.Background.setBadge(instance.tabId, "skip", true, "DUP");
+          }
+        }
+        if (result.fingerprint) {
+          instance.fingerprint = { "url": instance.url, "hash": result.fingerprint };
+        }
+        callback(instance);
+      }
+    }, function(e) {
+      // The URL couldn't be checked (e.g. a network error, it was still rate-limited after retrying, or no host permissions for its origin), so we go to it
+      // This only handles the fetch's errors, not the callback's (otherwise an error thrown by the callback would call it again)
+      //console.log("URLI.ErrorSkip.checkURL() - a fetch() exception was caught:" + e);
+      if (!instance.autoEnabled) {
+        URLI.Background.setBadge(instance.tabId, "skip", true, "ERR");
+      }
+      callback(instance);
+    });
+  }
+
+  /**
+   * Checks if the instance's next and prev links should be checked for errors before going to them.
+   *
+   * @param instance the instance containing the error skip properties
+   * @return {boolean} true if the next and prev links should be checked, false otherwise
+   * @public
+   */
+  function isNextPrevEnabled(instance) {
+    return instance.errorSkip > 0 && hasErrorCodes(instance);
+  }
+
+  /**
+   * Finds the next or prev link to go to by checking the page's links for errors, skipping the links that return an
+   * error (up to the instance's errorSkip times).
+   *
+   * The candidates are the page's next or prev links, ordered from the best to the worst (see
+   * URLI.NextPrev.findNextPrevURLs). If a link is an error, the next best one is checked. If the error page has its own
+   * next or prev link (e.g. a gallery's missing page that still links to the page after it), that link is checked after
+   * the page's other candidates. A redirect's page isn't followed, as it's usually the first page. If every candidate is
+   * an error, the best candidate is used, just like if the links weren't checked.
+   *
+   * @param instance   the instance containing the error codes and next prev properties
+   * @param direction  the direction to go: next or prev
+   * @param candidates the page's next or prev URLs, ordered from the best candidate to the worst
+   * @param pageURL    the page's URL, which is never a candidate
+   * @param callback   the function to call with the URL to go to
+   * @public
+   */
+  function skipNextPrevErrors(instance, direction, candidates, pageURL, callback) {
+    instance.skipped = [];
+    checkNextPrevURL(instance, direction, candidates.slice(), [pageURL], instance.errorSkip, url => callback(url || candidates[0]));
+  }
+
+  /**
+   * Checks the best remaining next or prev candidate, checking the next one if it's an error.
+   *
+   * @param instance           the instance containing the error codes and next prev properties
+   * @param direction          the direction to go: next or prev
+   * @param candidates         the remaining candidates to check, ordered from the best to the worst
+   * @param visited            the URLs that were already checked (and the current page), which aren't checked again
+   * @param errorSkipRemaining the number of times left to skip
+   * @param callback           the function to call with the URL to go to (or undefined if every candidate is an error)
+   * @private
+   */
+  function checkNextPrevURL(instance, direction, candidates, visited, errorSkipRemaining, callback) {
+    const url = candidates.shift();
+    // If there are no skips remaining, we go to the best remaining candidate without checking it (like increment does)
+    if (errorSkipRemaining <= 0) {
+      callback(url);
+      return;
+    }
+    visited.push(url);
+    fetchWithRetry(url, { credentials: "include" }, instance).then(function(response) {
+      const errorCode = getErrorCode(response, instance);
+      if (!errorCode) {
+        return {};
+      }
+      if (response.redirected) {
+        return { "errorCode": errorCode, "links": [] };
+      }
+      return response.text().then(function(text) {
+        const doc = new DOMParser().parseFromString(text, "text/html");
+        return { "errorCode": errorCode, "links": URLI.NextPrev.findNextPrevURLs(doc, response.url || url, direction, instance.nextPrevLinksPriority, instance.nextPrevSameDomainPolicy, instance.nextPrevKeywords, instance.nextPrevRules) };
+      });
+    }).then(function(result) {
+      if (!result.errorCode) {
+        callback(url);
+        return;
+      }
+      // Only need to set the badge the first time an error code is encountered
+      if (instance.skipped.length === 0 && !instance.autoEnabled) {
+        URLI.Background.setBadge(instance.tabId, "skip", true, result.errorCode);
+      }
+      instance.skipped.push({"url": url, "errorCode": result.errorCode});
+      // The error page's own link is the last resort, after the current page's other candidates
+      const remaining = candidates.concat(result.links.filter(link => !candidates.includes(link))).filter(link => !visited.includes(link));
+      if (remaining.length === 0) {
+        callback(undefined);
+        return;
+      }
+      checkNextPrevURL(instance, direction, remaining, visited, errorSkipRemaining - 1, callback);
+    }, function(e) {
+      // The URL couldn't be checked (e.g. a network error or no host permissions for its origin), so we go to it
+      // Like checkURL, this only handles the fetch's errors, so the callback is never called twice
+      //console.log("URLI.ErrorSkip.checkNextPrevURL() - a fetch() exception was caught:" + e);
+      if (!instance.autoEnabled) {
+        URLI.Background.setBadge(instance.tabId, "skip", true, "ERR");
+      }
+      callback(url);
+    });
+  }
+
+  /**
+   * Checks if the last page can be found for the instance. The instance needs a selection to increment and status
+   * codes to treat as errors. Shuffle, list, and template URLs aren't in an order that can be searched. Dates and roman
+   * numerals can't be searched either: a date's pages are rarely contiguous, and roman numerals only go up to 3999.
+   *
+   * @param instance the instance containing the URL properties and error codes
+   * @return {boolean} true if the last page can be found, false otherwise
+   * @public
+   */
+  function canFindLastPage(instance) {
+    return !!(instance.enabled && !instance.autoEnabled && !instance.shuffleEnabled && !instance.listEnabled && !instance.templateEnabled &&
+              instance.selection !== "" && instance.selectionStart >= 0 && hasErrorCodes(instance) &&
+              ![instance.base].concat(instance.multiEnabled && instance.multi ? instance.multi.map(part => part.base) : []).some(base => base === "date" || base === "roman"));
+  }
+
+  /**
+   * Finds the instance's last page: the last URL incrementing from the current one that doesn't return an error code.
+   *
+   * Instead of checking the URLs one at a time, URLs are probed with HEAD requests at exponentially increasing offsets
+   * from the current one (1, 2, 4, 8... increments away) until one returns an error code. The boundary between the last
+   * valid offset and it is then binary searched. This assumes the pages are contiguous (every page before the last one
+   * exists). A stop bound (e.g. a max) ends the search at the bound.
+   *
+   * @param instance the instance containing the URL properties and error codes
+   * @param progress the function to call before each probe with the search's progress {offset, low, high}
+   * @param callback the function to call with the last page's instance (a copy) or undefined if the current URL is the last page
+   * @return {boolean} true if the search was started, false if it can't be or is already in progress for this tab
+   * @public
+   */
+  function findLastPage(instance, progress, callback) {
+    if (lastPageSearches.has(instance.tabId) || !canFindLastPage(instance)) {
+      return false;
+    }
+    lastPageSearches.add(instance.tabId);
+    let low = 0, // The furthest offset known to be valid (the current URL is offset 0)
+        high = undefined, // The nearest offset known to be an error (undefined while still probing exponentially)
+        lastPage = undefined;
+    const finish = function() {
+      lastPageSearches.delete(instance.tabId);
+      callback(lastPage);
+    };
+    const probe = function() {
+      const offset = high === undefined ? (low === 0 ? 1 : low * 2) : Math.floor((low + high) / 2);
+      if (offset === low || offset > LAST_PAGE_MAX_OFFSET) {
+        finish();
+        return;
+      }
+      const page = getLastPageProbe(instance, offset);
+      // If the URL didn't change, the selection is already at a stop bound and there's nothing further to probe
+      if (page.url === (lastPage ? lastPage.url : instance.url)) {
+        finish();
+        return;
+      }
+      progress({"offset": offset, "low": low, "high": high});
+      fetchWithRetry(page.url, { method: "HEAD", credentials: "include" }, instance).then(response => !getErrorCode(response, instance)).catch(e => {
+        // The URL couldn't be checked (e.g. a network error), so it can't be the last page
+        //console.log("URLI.ErrorSkip.findLastPage() - a fetch() exception was caught:" + e);
+        return false;
+      }).then(function(valid) {
+        if (!valid) {
+          high = offset;
+        } else if (page.boundReached) {
+          lastPage = page;
+          finish();
+          return;
+        } else {
+          low = offset;
+          lastPage = page;
+        }
+        probe();
+      });
+    };
+    probe();
+    return true;
+  }
+
+  /**
+   * Gets a copy of the instance incremented by an offset (i.e. offset times its interval, or each part's interval if
+   * it's multi). The copy's bounds behavior is always stop and its direction isn't reversed (even if it was bouncing)
+   * so that the URLs keep increasing as the offset increases.
+   * Huge and decimal intervals are multiplied with BigInts so they keep their precision (see multiplyInterval).
+   *
+   * @param instance the instance containing the URL properties
+   * @param offset   the number of times to increment
+   * @return {*} the copy of the instance with the incremented url, selection, and boundReached properties
+   * @private
+   */
+  function getLastPageProbe(instance, offset) {
+    const page = JSON.parse(JSON.stringify(instance));
+    page.interval = multiplyInterval(page.interval, offset);
+    page.boundReversed = false;
+    if (page.multiEnabled && page.multi) {
+      page.multi.forEach(function(part) {
+        part.interval = multiplyInterval(part.interval, offset);
+        part.boundReversed = false;
+      });
+    }
+    page.boundBehavior = "stop";
+    URLI.IncrementDecrement.modifyInstanceURL("increment", page);
+    return page;
+  }
+
+  /**
+   * Multiplies an interval by an offset. Safe integer results stay Numbers. Huge results are digit Strings, like huge
+   * intervals (e.g. "9007199254740993"). Decimal intervals are multiplied as scaled integers and are decimal Strings
+   * (e.g. 0.05 times 3 is "0.15", not 0.15000000000000002), so that the decimal places don't change.
+   *
+   * @param interval the interval to multiply (a Number, or a String of digits if it's huge)
+   * @param offset   the number to multiply by (a positive integer)
+   * @return {number|string} the multiplied interval
+   * @private
+   */
+  function multiplyInterval(interval, offset) {
+    if (typeof interval === "string" || (Number.isInteger(interval) && !Number.isSafeInteger(interval * offset))) {
+      return (BigInt(interval) * BigInt(offset)) + "";
+    }
+    if (Number.isInteger(interval)) {
+      return interval * offset;
+    }
+    const parts = (interval + "").split("."),
+          digits = ((BigInt(parts[0] + parts[1]) * BigInt(offset)) + "").padStart(parts[1].length + 1, "0");
+    return digits.substring(0, digits.length - parts[1].length) + "." + digits.substring(digits.length - parts[1].length);
+  }
+
+  /**
+   * Gets the fingerprint of a page's main content: its text (with the whitespace collapsed) and the sources and links
+   * in it (so that gallery pages with the same text but different images are different). The main content is the main
+   * or article element if the page has one (so that things like ads and timestamps around it are ignored), or the body.
+   *
+   * @param text the page's content (e.g. HTML)
+   * @return {Promise} the fingerprint (a SHA-256 hash as hexadecimal)
+   * @private
+   */
+  function getFingerprint(text) {
+    const doc = new DOMParser().parseFromString(text, "text/html"),
+          main = doc.querySelector("main, [role='main'], article") || doc.body || doc.documentElement,
+          sources = Array.from(main.querySelectorAll("img[src], video[src], source[src], a[href]")).map(element => element.getAttribute("src") || element.getAttribute("href")),
+          content = main.textContent.replace(/\s+/g, " ").trim() + "\n" + sources.join("\n");
+    return crypto.subtle.digest("SHA-256", new TextEncoder().encode(content)).then(buffer => Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, "0")).join(""));
+  }
+
+  /**
+   * Fetches a URL, retrying it if the response is rate-limited (429 or 503) or the fetch fails (e.g. a network error or
+   * a timeout). Each retry waits longer than the last (exponential backoff: the delay, then twice the delay, then four
+   * times...), unless the response has a Retry-After header, which is honored instead. Each attempt is aborted if it
+   * takes longer than the timeout, including reading the response's body with text() (a server can send the headers
+   * right away and then stall on the body).
+   *
+   * If the response is still rate-limited after the last attempt, the promise is rejected instead of resolved, so that
+   * a rate-limited page is never skipped as if it were an error.
+   *
+   * @param url      the URL to fetch
+   * @param options  the fetch options (e.g. method)
+   * @param instance the instance containing the retry properties: errorRetryAttempts, errorRetryDelay, and errorRetryTimeout (in seconds, 0 for no timeout)
+   * @param attempt  (optional) the number of attempts made so far
+   * @return {Promise} the response
+   * @private
+   */
+  function fetchWithRetry(url, options, instance, attempt = 0) {
+    const controller = new AbortController(),
+          timeout = instance.errorRetryTimeout > 0 ? setTimeout(() => controller.abort(), instance.errorRetryTimeout * 1000) : undefined,
+          retry = delay => new Promise(resolve => setTimeout(resolve, delay * 1000)).then(() => fetchWithRetry(url, options, instance, attempt + 1)),
+          backoff = (instance.errorRetryDelay > 0 ? instance.errorRetryDelay : 1) * 2 ** attempt,
+          canRetry = attempt < (instance.errorRetryAttempts || 0);
+    return fetch(url, Object.assign({ signal: controller.signal }, options)).then(function(response) {
+      if (!RETRY_STATUSES.includes(response.status)) {
+        // The timeout is only cleared once the body has been read (if it's never read, aborting it later does no harm)
+        const text = response.text.bind(response);
+        response.text = () => text().finally(() => clearTimeout(timeout));
+        return response;
+      }
+      clearTimeout(timeout);
+      if (!canRetry) {
+        throw new Error("URL is rate-limited, status=" + response.status);
+      }
+      //console.log("URLI.ErrorSkip.fetchWithRetry() - retrying a rate-limited URL, attempt=" + (attempt + 1));
+      const retryAfter = getRetryAfter(response);
+      return retry(Math.min(retryAfter !== undefined ? retryAfter : backoff, RETRY_MAX_DELAY));
+    }, function(error) {
+      clearTimeout(timeout);
+      if (!canRetry) {
+        throw error;
+      }
+      //console.log("URLI.ErrorSkip.fetchWithRetry() - retrying a failed fetch, attempt=" + (attempt + 1) + ", error=" + error);
+      return retry(Math.min(backoff, RETRY_MAX_DELAY));
+    });
+  }
+
+  /**
+   * Gets the number of seconds a response's Retry-After header asks to wait. The header is either a number of seconds
+   * or an HTTP date.
+   *
+   * @param response the response
+   * @return {number} the number of seconds to wait, or undefined if the response doesn't have a valid Retry-After header
+   * @private
+   */
+  function getRetryAfter(response) {
+    const header = response.headers ? response.headers.get("Retry-After") : null;
+    if (!header) {
+      return undefined;
+    }
+    if (/^\s*\d+\s*$/.test(header)) {
+      return +header;
+    }
+    const date = Date.parse(header);
+    return isNaN(date) ? undefined : Math.max(0, (date - Date.now()) / 1000);
+  }
+
+  /**
+   * Gets the error code of a response if it's an error that should be skipped by the instance's error codes.
+   *
+   * @param response the fetch response
+   * @param instance the instance containing the error codes
+   * @return {string} the error code (or "RED" for a redirect) or undefined if the response shouldn't be skipped
+   * @private
+   */
+  function getErrorCode(response, instance) {
+    if (response && response.status &&
+        ((instance.errorCodes && (
+        (instance.errorCodes.includes("404") && response.status === 404) ||
+        (instance.errorCodes.includes("3XX") && ((response.status >= 300 && response.status <= 399) || response.redirected)) || // Note: 301,302,303,307,308 return response.status of 200 and must be checked by response.redirected
+        (instance.errorCodes.includes("4XX") && response.status >= 400 && response.status <= 499) ||
+        (instance.errorCodes.includes("5XX") && response.status >= 500 && response.status <= 599))) ||
+        (instance.errorCodesCustomEnabled && instance.errorCodesCustom &&
+        (instance.errorCodesCustom.includes(response.status + "") || (response.redirected && ["301", "302", "303", "307", "308"].some(redcode => instance.errorCodesCustom.includes(redcode))))))) { // response.status + "" because custom array stores string inputs
+      return response.redirected ? "RED" : response.status + "";
+    }
+    return undefined;
+  }
+
+  /**
+   * Gets the instance's content rules for its URL's site. A rule's site matches the URL's hostname and its subdomains
+   * (e.g. example.com matches www.example.com), and a rule without a site matches every site.
+   *
+   * @param instance the instance containing the URL and content rules
+   * @return {*[]} the content rules for the site [{site, type, value}]
+   * @private
+   */
+  function getContentRules(instance) {
+    let hostname;
+    try {
+      hostname = new URL(instance.url).hostname;
+    } catch (e) {
+      return [];
+    }
+    return (instance.errorContentRules || []).filter(rule => !rule.site || hostname === rule.site || hostname.endsWith("." + rule.site));
+  }
+
+  /**
+   * Finds the first content rule that the page fails. A page fails a rule if:
+   * text:       the page has the text (ignoring case)
+   * regex:      the page matches the regular expression (ignoring case)
+   * selector:   the page doesn't have an element matching the CSS selector
+   * noselector: the page has an element matching the CSS selector
+   * length:     the page's text (not counting its HTML tags or whitespace at its start and end) has fewer characters than the length
+   *
+   * @param text  the page's content (e.g. HTML)
+   * @param rules the content rules to check [{site, type, value}]
+   * @return {*} the rule the page failed or undefined if it passed all of them
+   * @private
+   */
+  function findFailedContentRule(text, rules) {
+    let doc;
+    const getDocument = () => doc = doc || new DOMParser().parseFromString(text, "text/html");
+    return rules.find(function(rule) {
+      try {
+        switch (rule.type) {
+          case "text":       return text.toLowerCase().includes(rule.value.toLowerCase());
+          case "regex":      return new RegExp(rule.value, "i").test(text);
+          case "selector":   return !getDocument().querySelector(rule.value);
+          case "noselector": return !!getDocument().querySelector(rule.value);
+          case "length":     return (getDocument().body ? getDocument().body.textContent.trim().length : 0) < +rule.value;
+          default:           return false;
+        }
+      } catch (e) { // An invalid rule (e.g. a bad selector) can't fail the page
+        return false;
+      }
+    });
+  }
+
+  // Return Public Functions
+  return {
+    skipErrors: skipErrors,
+    isEnabled: isEnabled,
+    isNextPrevEnabled: isNextPrevEnabled,
+    skipNextPrevErrors: skipNextPrevErrors,
+    canFindLastPage: canFindLastPage,
+    findLastPage: findLastPage
+  };
+}();
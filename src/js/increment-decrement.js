@@ -8,6 +8,15 @@ var URLI = URLI || {};
 
 URLI.IncrementDecrement = function () {
 
+  // The date time format parts (tokens) in the order they should be matched (longest first, e.g. "yyyy" before "yy")
+  const DATE_FORMAT_PARTS = /yyyy|yy|mmmm|mmm|mm|m|dd|d|hh|h|ii|i|ss|s/gi,
+
+  // The full month names used by the "mmmm" and "mmm" (short month names) date time format parts
+  DATE_MONTH_NAMES = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"],
+
+  // The roman numerals and their values, ordered from highest to lowest (including the subtractive pairs like CM and IV)
+  ROMAN_NUMERALS = [["M", 1000], ["CM", 900], ["D", 500], ["CD", 400], ["C", 100], ["XC", 90], ["L", 50], ["XL", 40], ["X", 10], ["IX", 9], ["V", 5], ["IV", 4], ["I", 1]];
+
   /**
    * Finds a selection in the url to increment or decrement depending on the preference.
    *
@@ -23,15 +32,37 @@ URLI.IncrementDecrement = function () {
    * "First Number": Preference:
    * Uses the first number in the url.
    *
+   * "Subdomain" and "Port" Preferences:
+   * Uses the number in the first subdomain that has one (e.g. cdn2.example.com) or the port (e.g. example.com:8080).
+   * These are the only preferences that can select in the url's origin if it is excluded (see excludeOrigin), and if
+   * the url doesn't have one, the "Prefixes" preference is used instead.
+   *
+   * "Parameters" Preference:
+   * Uses the first preferred parameter name (in order) that has a number in the url's query or hash, for example:
+   * http://www.google.com?start=10 or http://www.google.com#page=2
+   * The selection is then bound to that parameter (see selectionParam) instead of to its position in the url.
+   *
+   * If the base is "date", the last date in the url matching the date format is preferred over numbers. The prefixes,
+   * last number, and first number preferences use it first, and the other preferences use it if their own selection
+   * isn't found (so that a custom regular expression or a parameter is always used first).
+   * If the base is "wordlist", the last word in the url that is in the word list is preferred in the same way.
+   * If the base is "decimal", the last decimal number in the url (e.g. 1.25) is preferred in the same way.
+   * If the base is "roman", the last roman numeral in the url (e.g. xiv) is preferred in the same way.
+   *
    * If no numbers exist in the URL, returns an empty selection.
    *
-   * @param url        the url to find the selection in
-   * @param preference the preferred strategy to use to find the selection
-   * @param custom     the JSON object with custom regular expression parameters
-   * @return JSON object {selection, selectionStart}
+   * @param url            the url to find the selection in
+   * @param preference     the preferred strategy to use to find the selection
+   * @param custom         the JSON object with custom regular expression parameters
+   * @param base           (optional) the base to use, if "date" the url is searched for the date format first
+   * @param baseDateFormat (optional) if base is date: the date format to search for (e.g. yyyy/mm/dd)
+   * @param baseWordList   (optional) if base is wordlist: the word list to search for {name, words}
+   * @param paramNames     (optional) if preference is params: the preferred parameter names in order (e.g. page, p)
+   * @param excludeOrigin  (optional) if true, nothing in the scheme, host, or port is selected (except by the subdomain, port, or custom preferences)
+   * @return JSON object {selection, selectionStart, selectionParam (only if the selection is bound to a parameter)}
    * @public
    */
-  function findSelection(url, preference, custom) {
+  function findSelection(url, preference, custom, base, baseDateFormat, baseWordList, paramNames, excludeOrigin) {
     // Regular Expressions:
     // Lookbehind is only supported in Chrome 62+ so using convoluted alternatives, lookbehinds are enclosed in comments below
     const repag = /page=\d+/, // RegExp to find a number with "page=" TODO: replace with lookbehind regex /(?<=page)=(\d+)/
@@ -40,28 +71,58 @@ URLI.IncrementDecrement = function () {
           relas = /\d+(?!.*\d+)/, // RegExg to find the last number in the url
           refir = /\d+/, // RegExg to find the first number in the url
           recus = preference === "custom" && custom ? new RegExp(custom.pattern, custom.flags) : undefined, // RegExp Custom (if set by user) TODO: Validate custom regex with current url for alphanumeric selection
+    // The url to search in: if the origin is excluded, it's blanked out with spaces so that the indices stay the same
+          originLength = excludeOrigin ? getOriginLength(url) : 0,
+          search = " ".repeat(originLength) + url.substring(originLength),
     // Matches:
-          mapag = repag.exec(url),
-          mater = reter.exec(url),
-          mapre = repre.exec(url),
-          malas = relas.exec(url),
-          mafir = refir.exec(url),
-          macus = recus ? recus.exec(url) : undefined;
-    //console.log("URLI.IncrementDecrement.findSelection() - matches: pag=" + mapag + ", ter=" + mater + ", pre=" + mapre + ", las=" + malas + ", fir=" + mafir + ", cus=" + macus);
+          mapag = repag.exec(search),
+          mater = reter.exec(search),
+          mapre = repre.exec(search),
+          malas = relas.exec(search),
+          mafir = refir.exec(search),
+          macus = recus ? recus.exec(url) : undefined,
+          madat = base === "date" && baseDateFormat ? findDateSelection(search, baseDateFormat) : undefined,
+          mawor = base === "wordlist" && baseWordList ? findWordSelection(search, baseWordList) : undefined,
+          madec = base === "decimal" ? findDecimalSelection(search) : undefined,
+          marom = base === "roman" ? findRomanSelection(search) : undefined,
+          mapar = preference === "params" && paramNames ? findParamSelection(url, paramNames) : undefined,
+          maori = preference === "subdomain" || preference === "port" ? findOriginSelection(url, preference) : undefined,
+          mabas = madat || mawor || madec || marom; // The base's own selection (e.g. a date), if the base has one
+    //console.log("URLI.IncrementDecrement.findSelection() - matches: pag=" + mapag + ", ter=" + mater + ", pre=" + mapre + ", las=" + malas + ", fir=" + mafir + ", cus=" + macus + ", bas=" + mabas);
     return preference === "prefixes" ?
+              mabas ? mabas :
               mapag ? {selection: mapag[0].substring(5), selectionStart: mapag.index + 5} :
               mater ? {selection: mater[0].substring(mater[1].length + 1), selectionStart: mater.index + mater[1].length + 1} :
               mapre ? {selection: mapre[0].substring(1), selectionStart: mapre.index + 1} :
               malas ? {selection: malas[0], selectionStart: malas.index} :
               {selection: "", selectionStart: -1} :
            preference === "lastnumber" ?
+              mabas ? mabas :
               malas ? {selection: malas[0], selectionStart: malas.index} :
               {selection: "", selectionStart: -1} :
            preference === "firstnumber" ?
+              mabas ? mabas :
               mafir ? {selection: mafir[0], selectionStart: mafir.index} :
               {selection: "", selectionStart: -1} :
+           preference === "subdomain" || preference === "port" ?
+              maori ? maori :
+              mabas ? mabas :
+              mapag ? {selection: mapag[0].substring(5), selectionStart: mapag.index + 5} :
+              mater ? {selection: mater[0].substring(mater[1].length + 1), selectionStart: mater.index + mater[1].length + 1} :
+              mapre ? {selection: mapre[0].substring(1), selectionStart: mapre.index + 1} :
+              malas ? {selection: malas[0], selectionStart: malas.index} :
+              {selection: "", selectionStart: -1} :
+           preference === "params" ?
+              mapar ? mapar :
+              mabas ? mabas :
+              mapag ? {selection: mapag[0].substring(5), selectionStart: mapag.index + 5} :
+              mater ? {selection: mater[0].substring(mater[1].length + 1), selectionStart: mater.index + mater[1].length + 1} :
+              mapre ? {selection: mapre[0].substring(1), selectionStart: mapre.index + 1} :
+              malas ? {selection: malas[0], selectionStart: malas.index} :
+              {selection: "", selectionStart: -1} :
            preference === "custom" ?
               macus && macus[custom.group] ? {selection: macus[custom.group].substring(custom.index), selectionStart: macus.index + custom.index} :
+              mabas ? mabas :
               mapag ? {selection: mapag[0].substring(5), selectionStart: mapag.index + 5} :
               mater ? {selection: mater[0].substring(mater[1].length), selectionStart: mater.index + mater[1].length} :
               mapre ? {selection: mapre[0].substring(1), selectionStart: mapre.index + 1} :
@@ -70,6 +131,355 @@ URLI.IncrementDecrement = function () {
           {selection: "", selectionStart: -1};
   }
 
+  /**
+   * Finds the number in the url's first subdomain that has one (e.g. 2 in cdn2.img.example.com) or the url's port. The
+   * last two labels of the host are the domain (e.g. example.com), and IP addresses don't have subdomains.
+   *
+   * @param url  the url to find the number in
+   * @param part the part of the origin to find the number in: subdomain or port
+   * @return JSON object {selection, selectionStart} or undefined if the url doesn't have one
+   * @private
+   */
+  function findOriginSelection(url, part) {
+    const origin = /^([a-z][a-z\d+\-.]*:\/\/)([^\/?#@]*@)?(\[[^\]]*\]|[^\/?#:]*)(?::(\d+))?/i.exec(url);
+    if (!origin) {
+      return undefined;
+    }
+    const hostStart = origin[1].length + (origin[2] ? origin[2].length : 0),
+          host = origin[3];
+    if (part === "port") {
+      return origin[4] ? {selection: origin[4], selectionStart: hostStart + host.length + 1} : undefined;
+    }
+    if (/^[\d.]+$/.test(host) || host.startsWith("[")) {
+      return undefined;
+    }
+    const labels = host.split(".");
+    let start = hostStart;
+    for (let label of labels.slice(0, -2)) {
+      const match = /\d+(?!.*\d)/.exec(label);
+      if (match) {
+        return {selection: match[0], selectionStart: start + match.index};
+      }
+      start += label.length + 1;
+    }
+    return undefined;
+  }
+
+  /**
+   * Gets the length of the url's origin: the scheme, user info, host, and port (e.g. https://cdn2.example.com:8080).
+   *
+   * @param url the url
+   * @return {number} the length of the url's origin (or 0 if the url doesn't have one)
+   * @private
+   */
+  function getOriginLength(url) {
+    const origin = /^[a-z][a-z\d+\-.]*:\/\/[^\/?#]*/i.exec(url);
+    return origin ? origin[0].length : 0;
+  }
+
+  /**
+   * Finds the last date in the url that matches the date format and is a valid date.
+   *
+   * @param url            the url to find the date in
+   * @param baseDateFormat the date format to search for (e.g. yyyy/mm/dd)
+   * @return JSON object {selection, selectionStart} or undefined if no date was found
+   * @private
+   */
+  function findDateSelection(url, baseDateFormat) {
+    const regexp = new RegExp(buildDateRegExpSource(baseDateFormat), "gi");
+    let match,
+        result;
+    while ((match = regexp.exec(url)) !== null) {
+      if (parseDate(match[0], baseDateFormat)) {
+        result = {selection: match[0], selectionStart: match.index};
+      }
+      // Prevent an infinite loop on zero-length matches
+      if (match[0].length === 0) {
+        regexp.lastIndex++;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Finds the last word in the url that is in the word list (ignoring case). Words must not be part of a longer word or
+   * number (e.g. "mar" isn't found in "march").
+   *
+   * @param url      the url to find the word in
+   * @param wordList the word list {name, words}
+   * @return JSON object {selection, selectionStart} or undefined if no word was found
+   * @private
+   */
+  function findWordSelection(url, wordList) {
+    // Longer words first so that they are preferred over words that they start with
+    const words = wordList.words.filter(Boolean).sort((a, b) => b.length - a.length).map(escapeRegExp),
+          regexp = new RegExp("(?<![\\p{L}\\p{N}])(?:" + words.join("|") + ")(?![\\p{L}\\p{N}])", "giu");
+    let match,
+        result;
+    if (words.length === 0) {
+      return undefined;
+    }
+    while ((match = regexp.exec(url)) !== null) {
+      result = {selection: match[0], selectionStart: match.index};
+    }
+    return result;
+  }
+
+  /**
+   * Finds the last decimal number in the url (e.g. 1.25 in zoom=1.25). Numbers with more than one dot, like versions
+   * and IP addresses (e.g. 1.2.3), aren't decimal numbers.
+   *
+   * @param url the url to find the decimal number in
+   * @return JSON object {selection, selectionStart} or undefined if no decimal number was found
+   * @private
+   */
+  function findDecimalSelection(url) {
+    const regexp = /(?<![\d.])\d+\.\d+(?![\d.])/g;
+    let match,
+        result;
+    while ((match = regexp.exec(url)) !== null) {
+      result = {selection: match[0], selectionStart: match.index};
+    }
+    return result;
+  }
+
+  /**
+   * Finds the last roman numeral in the url (in any case). Like words, roman numerals must not be part of a longer word
+   * or number (e.g. "mix" isn't found in "remix"), and parameter names (e.g. "v" in v=2) aren't roman numerals.
+   *
+   * @param url the url to find the roman numeral in
+   * @return JSON object {selection, selectionStart} or undefined if no roman numeral was found
+   * @private
+   */
+  function findRomanSelection(url) {
+    const regexp = /(?<![\p{L}\p{N}])[ivxlcdm]+(?![\p{L}\p{N}=])/giu;
+    let match,
+        result;
+    while ((match = regexp.exec(url)) !== null) {
+      if (!isNaN(parseRoman(match[0]))) {
+        result = {selection: match[0], selectionStart: match.index};
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Finds the first preferred parameter in the url's query (or hash if it's not in the query) that has a number value.
+   *
+   * @param url        the url to find the parameter in
+   * @param paramNames the preferred parameter names in order (e.g. page, p, start, offset)
+   * @return JSON object {selection, selectionStart, selectionParam} or undefined if no parameter was found
+   * @private
+   */
+  function findParamSelection(url, paramNames) {
+    for (let name of paramNames) {
+      for (let type of ["query", "hash"]) {
+        const located = locateParam(url, {"type": type, "name": name});
+        if (located && /^\d+$/.test(located.value)) {
+          return {selection: located.value, selectionStart: located.start, selectionParam: {"type": type, "name": name}};
+        }
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Finds the parameter that the selection is exactly the value of, so that the selection can be bound to it. A
+   * parameter is either a query parameter (by name), a hash parameter (by name), or a path segment (by index, the
+   * first segment after the domain is 1).
+   *
+   * @param url            the url the selection is in
+   * @param selection      the selection
+   * @param selectionStart the starting index of the selection in the url
+   * @return JSON object {type: query, hash, or path, name (query and hash), index (path)} or undefined if the selection isn't a parameter's value
+   * @public
+   */
+  function findSelectionParam(url, selection, selectionStart) {
+    const found = listParams(url).find(located => located.start === selectionStart && located.value === selection);
+    return found ? found.param : undefined;
+  }
+
+  /**
+   * Finds a parameter's value and where it starts in the url.
+   *
+   * @param url   the url to find the parameter in
+   * @param param the parameter {type, name, index}
+   * @return JSON object {param, value, start} or undefined if the url doesn't have the parameter
+   * @private
+   */
+  function locateParam(url, param) {
+    return listParams(url).find(located => located.param.type === param.type && (param.type === "path" ? located.param.index === param.index : located.param.name === param.name));
+  }
+
+  /**
+   * Lists all of the url's parameters (path segments, query parameters, and hash parameters) with their raw values and
+   * where they start in the url. The url string itself is parsed (not a URL object) so that the positions match the
+   * url exactly as it is written.
+   *
+   * @param url the url to list the parameters of
+   * @return {*[]} the parameters [{param, value, start}]
+   * @public
+   */
+  function listParams(url) {
+    const params = [],
+          hashIndex = url.indexOf("#"),
+          beforeHash = hashIndex >= 0 ? url.substring(0, hashIndex) : url,
+          queryIndex = beforeHash.indexOf("?"),
+          beforeQuery = queryIndex >= 0 ? beforeHash.substring(0, queryIndex) : beforeHash,
+          authority = /^[a-z][a-z\d+\-.]*:\/\/[^\/]*/i.exec(beforeQuery),
+          pathStart = authority ? authority[0].length : 0,
+          components = [{"type": "query", "index": queryIndex, "text": beforeHash}, {"type": "hash", "index": hashIndex, "text": url}];
+    let start = pathStart;
+    beforeQuery.substring(pathStart).split("/").forEach(function(segment, index) {
+      if (index > 0) { // The path always starts with a /, so index 0 is the empty string before it
+        params.push({"param": {"type": "path", "index": index}, "value": segment, "start": start});
+      }
+      start += segment.length + 1;
+    });
+    for (let component of components) {
+      if (component.index < 0) {
+        continue;
+      }
+      start = component.index + 1;
+      for (let pair of component.text.substring(component.index + 1).split("&")) {
+        const equals = pair.indexOf("=");
+        if (equals >= 0) {
+          params.push({"param": {"type": component.type, "name": decodeParamName(pair.substring(0, equals))}, "value": pair.substring(equals + 1), "start": start + equals + 1});
+        }
+        start += pair.length + 1;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Decodes a query or hash parameter's name (e.g. a%5B%5D to a[]).
+   *
+   * @param name the encoded name
+   * @return {string} the decoded name (or the name as is if it can't be decoded)
+   * @private
+   */
+  function decodeParamName(name) {
+    try {
+      return decodeURIComponent(name.replace(/\+/g, " "));
+    } catch (e) {
+      return name;
+    }
+  }
+
+  /**
+   * Decodes an encoded parameter's value so that a number inside it can be selected and modified. The value is
+   * percent-decoded first as it would be by the site, and then decoded by the parameter's encoding:
+   * percent:   the value was percent-encoded again (e.g. a url inside the url)
+   * base64:    the value is Base64 (UTF-8 text)
+   * base64url: the value is Base64URL (- and _ instead of + and /, usually without = padding)
+   * JSON inside these is text like any other, so its numbers can be selected as is.
+   *
+   * @param url   the url the parameter is in
+   * @param param the parameter {type, name, index, encoding}
+   * @return JSON object {value: the raw value, start, decoded: the decoded value} or undefined if the url doesn't have the parameter or it can't be decoded
+   * @public
+   */
+  function decodeParam(url, param) {
+    const located = locateParam(url, param);
+    if (!located) {
+      return undefined;
+    }
+    try {
+      // + is a space in query and hash values, but not in Base64 (which is often unescaped) or in path segments
+      const text = decodeURIComponent(param.encoding === "percent" && param.type !== "path" ? located.value.replace(/\+/g, " ") : located.value);
+      let decoded = text;
+      if (param.encoding !== "percent") {
+        const base64 = param.encoding === "base64url" ? text.replace(/-/g, "+").replace(/_/g, "/") : text;
+        if (!/^[a-z\d+\/]+={0,2}$/i.test(base64)) {
+          return undefined;
+        }
+        decoded = new TextDecoder("utf-8", {"fatal": true}).decode(Uint8Array.from(atob(base64), c => c.charCodeAt(0)));
+      }
+      // Control characters mean this isn't text (e.g. binary data or the wrong encoding)
+      return !/[\x00-\x08\x0e-\x1f]/.test(decoded) ? {value: located.value, start: located.start, decoded: decoded} : undefined;
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Detects which encoding a parameter's value is most likely in by trying to decode it.
+   *
+   * @param url   the url the parameter is in
+   * @param param the parameter {type, name, index}
+   * @return {string} the encoding (base64url, base64, or percent) or undefined if the value can't be decoded
+   * @public
+   */
+  function detectParamEncoding(url, param) {
+    return ["base64url", "base64", "percent"].find(encoding => {
+      const decoded = decodeParam(url, Object.assign({}, param, {"encoding": encoding}));
+      // Base64 with padding or + or / is plain Base64 (without any of these it could be either, but is usually Base64URL)
+      return decoded && (encoding !== "base64url" || /[-_]/.test(decoded.value) || !/[+\/=]|%2B|%2F|%3D/i.test(decoded.value));
+    });
+  }
+
+  /**
+   * Replaces an encoded parameter's value in the url by encoding the new decoded value the same way the old value was:
+   * Base64 keeps (or leaves out) the = padding, and is percent-encoded if the old value was or if it has characters that
+   * would otherwise change its meaning (+ in a query and / in a path).
+   *
+   * @param url     the url the parameter is in
+   * @param param   the parameter {type, name, index, encoding}
+   * @param located the parameter's current {value, start} (see decodeParam)
+   * @param decoded the parameter's new decoded value
+   * @return {string} the new url
+   * @private
+   */
+  function replaceEncodedParam(url, param, located, decoded) {
+    let value;
+    if (param.encoding === "percent") {
+      value = encodeURIComponent(decoded);
+    } else {
+      value = btoa(String.fromCharCode(...new TextEncoder().encode(decoded)));
+      if (param.encoding === "base64url") {
+        value = value.replace(/\+/g, "-").replace(/\//g, "_");
+      }
+      if (!/(=|%3D)$/i.test(located.value)) {
+        value = value.replace(/=+$/, "");
+      }
+      if (/%[\da-f]{2}/i.test(located.value) || /[+\/]/.test(value)) {
+        value = encodeURIComponent(value);
+      }
+    }
+    return url.substring(0, located.start) + value + url.substring(located.start + located.value.length);
+  }
+
+  /**
+   * Sets a parameter's value in the url using the URL parser: query parameters are set with URLSearchParams, hash
+   * parameters are set with URLSearchParams on the hash, and path segments are set on the path.
+   *
+   * @param url   the url to set the parameter in
+   * @param param the parameter {type, name, index}
+   * @param value the parameter's new value
+   * @return {string} the new url (or the url as is if it can't be parsed)
+   * @private
+   */
+  function setParam(url, param, value) {
+    try {
+      const urlObject = new URL(url);
+      if (param.type === "query") {
+        urlObject.searchParams.set(param.name, value);
+      } else if (param.type === "hash") {
+        const hashParams = new URLSearchParams(urlObject.hash.substring(1));
+        hashParams.set(param.name, value);
+        urlObject.hash = hashParams.toString();
+      } else {
+        const segments = urlObject.pathname.split("/");
+        segments[param.index] = value;
+        urlObject.pathname = segments.join("/");
+      }
+      return urlObject.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
   /**
    * Modifies the URL by either incrementing or decrementing the specified
    * selection.
@@ -78,86 +488,1099 @@ URLI.IncrementDecrement = function () {
    * @param url            the URL that will be modified
    * @param selection      the selected part in the URL to modify
    * @param selectionStart the starting index of the selection in the URL
-   * @param interval       the amount to increment or decrement
-   * @param base           the base to use (the supported base range is 2-36)
+   * @param interval       the amount to increment or decrement (if base is 2-36, this may be a string of digits for intervals that are too large to be a safe Number)
+   * @param base           the base to use (the supported base range is 2-36, "date" for date time, "decimal" for decimal numbers, "roman" for roman numerals, "alphabet" for a custom alphabet, or "wordlist" for a word list)
    * @param baseCase       the case to use for letters (lowercase or uppercase)
    * @param leadingZeros   if true, pad with leading zeros, false don't pad
-   * @return JSON object {urlmod: modified url, selectionmod: modified selection}
+   * @param baseDateFormat (optional) if base is date: the date format of the selection (e.g. yyyy/mm/dd)
+   * @param baseDateUnit   (optional) if base is date: the date unit the interval is in (e.g. days)
+   * @param baseAlphabet   (optional) if base is alphabet: the custom alphabet {name, characters, counting}
+   * @param baseWordList   (optional) if base is wordlist: the word list {name, words}
+   * @param bounds         (optional) if base is 2-36, decimal, or roman: the bounds {min, max, behavior, negative} (see modifyNumber), if base is wordlist: only the behavior is used
+   * @return JSON object {urlmod: modified url, selectionmod: modified selection, boundReached: if a stop bound was reached, boundReversed: if a bounce reversed the direction}
    * @public
    */
-  function modifyURL(action, url, selection, selectionStart, interval, base, baseCase, leadingZeros) {
+  function modifyURL(action, url, selection, selectionStart, interval, base, baseCase, leadingZeros, baseDateFormat, baseDateUnit, baseAlphabet, baseWordList, bounds) {
     let urlmod,
         selectionmod,
-        selectionint = parseInt(selection, base); // parseInt base range is 2-36
-    // Increment or decrement the selection; if decrement is negative, set to 0 (low bound)
-    selectionmod = action === "increment" ? (selectionint + interval).toString(base) :
-                   action === "decrement" ? (selectionint - interval >= 0 ? selectionint - interval : 0).toString(base) :
-                   "";
-    if (leadingZeros && selection.length > selectionmod.length) { // Leading 0s
-      selectionmod = "0".repeat(selection.length - selectionmod.length) + selectionmod;
-    }
-    if (/[a-z]/i.test(selectionmod)) { // If Alphanumeric, convert case
-      selectionmod = baseCase === "lowercase" ? selectionmod.toLowerCase() : baseCase === "uppercase" ? selectionmod.toUpperCase() : selectionmod;
+        boundReached = false,
+        boundReversed = false;
+    if (base === "date") {
+      selectionmod = modifyDate(action, selection, interval, baseDateFormat, baseDateUnit);
+    } else if (base === "decimal") {
+      const decimalProps = modifyDecimal(action, selection, interval, leadingZeros, bounds || {});
+      selectionmod = decimalProps.decimal;
+      boundReached = decimalProps.boundReached;
+      boundReversed = decimalProps.boundReversed;
+    } else if (base === "roman") {
+      const romanProps = modifyRoman(action, selection, interval, bounds || {});
+      selectionmod = romanProps.roman;
+      boundReached = romanProps.boundReached;
+      boundReversed = romanProps.boundReversed;
+    } else if (base === "alphabet") {
+      selectionmod = modifyAlphabet(action, selection, interval, baseAlphabet, leadingZeros);
+    } else if (base === "wordlist") {
+      const wordProps = modifyWord(action, selection, interval, baseWordList, bounds || {});
+      selectionmod = wordProps.word;
+      boundReached = wordProps.boundReached;
+      boundReversed = wordProps.boundReversed;
+    } else {
+      const numberProps = modifyNumber(action, selection, interval, base, bounds || {});
+      selectionmod = formatNumber(numberProps.value, selection, base, baseCase, leadingZeros);
+      boundReached = numberProps.boundReached;
+      boundReversed = numberProps.boundReversed;
     }
     // Append: part 1 of the URL + modified selection + part 2 of the URL
     urlmod = url.substring(0, selectionStart) + selectionmod + url.substring(selectionStart + selection.length);
-    return {urlmod: urlmod, selectionmod: selectionmod};
+    return {urlmod: urlmod, selectionmod: selectionmod, boundReached: boundReached, boundReversed: boundReversed};
   }
 
   /**
-   * Modifies the URL by either incrementing or decrementing the specified
-   * selection and performs error skipping.
-   *
-   * @param action               the action to perform (increment or decrement)
-   * @param instance             the instance containing the URL properties
-   * @param errorSkipRemaining   the number of times left to skip while performing this action
-   * @param errorCodeEncountered whether or not an error code has been encountered yet while performing this action
-   * @public
-   */
-  function modifyURLAndSkipErrors(action, instance, errorSkipRemaining, errorCodeEncountered) {
-    //console.log("URLI.IncrementDecrement.modifyURLAndSkipErrors() - instance.errorCodes=" + instance.errorCodes +", instance.errorCodesCustomEnabled=" + instance.errorCodesCustomEnabled + ", instance.errorCodesCustom=" + instance.errorCodesCustom  + ", errorSkipRemaining=" + errorSkipRemaining);
-    const origin = document.location.origin,
-          urlOrigin = new URL(instance.url).origin,
-          urlProps = modifyURL(action, instance.url, instance.selection, instance.selectionStart, instance.interval, instance.base, instance.baseCase, instance.leadingZeros);
-    instance.url = urlProps.urlmod;
-    instance.selection = urlProps.selectionmod;
-    // We check that the current page's origin matches the instance's URL origin as we otherwise cannot use fetch due to CORS
-    if (origin === urlOrigin && errorSkipRemaining > 0) {
-      fetch(urlProps.urlmod, { method: "HEAD", credentials: "same-origin" }).then(function(response) {
-        if (response && response.status &&
-            ((instance.errorCodes && (
-            (instance.errorCodes.includes("404") && response.status === 404) ||
-            (instance.errorCodes.includes("3XX") && ((response.status >= 300 && response.status <= 399) || response.redirected)) || // Note: 301,302,303,307,308 return response.status of 200 and must be checked by response.redirected
-            (instance.errorCodes.includes("4XX") && response.status >= 400 && response.status <= 499) ||
-            (instance.errorCodes.includes("5XX") && response.status >= 500 && response.status <= 599))) ||
-            (instance.errorCodesCustomEnabled && instance.errorCodesCustom &&
-            (instance.errorCodesCustom.includes(response.status + "") || (response.redirected && ["301", "302", "303", "307", "308"].some(redcode => instance.errorCodesCustom.includes(redcode))))))) { // response.status + "" because custom array stores string inputs
-          //console.log("URLI.IncrementDecrement.modifyURLAndSkipErrors() - skipping this URL because response.status was in errorCodes or response.redirected, response.status=" + response.status);
-          // setBadgeSkipErrors, but only need to send message the first time an errorCode is encountered
-          if (!errorCodeEncountered) {
-            chrome.runtime.sendMessage({greeting: "setBadgeSkipErrors", "errorCode": response.redirected ? "RED" : response.status, "instance": instance});
+   * Modifies a base 2-36 number selection by either incrementing or decrementing it by the interval and then applies
+   * the bounds. BigInt arithmetic is used so that selections and intervals of any size keep their precision
+   * (e.g. 19 digit IDs).
+   *
+   * If there is no min bound, the low bound is 0 unless negative numbers are allowed. When the number goes past a bound,
+   * the bounds behavior decides what happens:
+   * stop:   the number stops at the bound
+   * wrap:   the number wraps around to the other bound (e.g. 1-10: 10 + 1 = 1)
+   * bounce: the number bounces off the bound and reverses its direction (e.g. 1-10: 9 + 3 = 8)
+   * Wrap and bounce need both a min and a max bound, otherwise they behave like stop.
+   *
+   * @param action    the action to perform (increment or decrement)
+   * @param selection the number selection to modify (e.g. 9 or -20)
+   * @param interval  the amount to increment or decrement
+   * @param base      the base of the selection (2-36)
+   * @param bounds    the bounds {min, max, behavior, negative}: min and max are strings in the base ("" if not set)
+   * @return JSON object {value: the modified BigInt, boundReached: if a stop bound was reached, boundReversed: if a bounce reversed the direction}
+   * @private
+   */
+  function modifyNumber(action, selection, interval, base, bounds) {
+    const selectionint = parseBigInt(selection, base),
+          intervalint = BigInt(interval),
+          minSet = !!bounds.min || bounds.min === 0,
+          maxSet = !!bounds.max || bounds.max === 0,
+          min = minSet ? parseBigInt(bounds.min + "", base) : bounds.negative ? undefined : 0n,
+          max = maxSet ? parseBigInt(bounds.max + "", base) : undefined;
+    let value = action === "increment" ? selectionint + intervalint :
+                action === "decrement" ? selectionint - intervalint :
+                selectionint,
+        boundReached = false,
+        boundReversed = false;
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+      if (bounds.behavior === "wrap" && minSet && maxSet) {
+        value = min + modBigInt(value - min, max - min + 1n);
+      } else if (bounds.behavior === "bounce" && minSet && maxSet) {
+        // Unfold the bounces into one period (min to max and back to min) to find where the number lands
+        const span = max - min,
+              position = span === 0n ? 0n : modBigInt(value - min, 2n * span);
+        value = position <= span ? min + position : max - (position - span);
+        // The number is heading up if it moved up and landed on the way up, or moved down and landed on the way back down
+        // At the exact bounds, it always heads away from the bound
+        const up = value === max ? false : value === min ? true : (action === "increment") === (position < span);
+        boundReversed = up !== (action === "increment");
+      } else {
+        value = min !== undefined && value < min ? min : max;
+      }
+    }
+    // A stop bound is reached when the number is at the bound it was heading towards (it can't go any further)
+    if (bounds.behavior !== "wrap" && !(bounds.behavior === "bounce" && minSet && maxSet)) {
+      boundReached = (action === "increment" && maxSet && value === max) || (action === "decrement" && minSet && value === min);
+    }
+    return {value: value, boundReached: boundReached, boundReversed: boundReversed};
+  }
+
+  /**
+   * Formats a BigInt into a base 2-36 number string, padding it with leading zeros to the selection's length and
+   * converting its case if needed.
+   *
+   * @param value        the BigInt to format
+   * @param selection    the original selection (used to pad the leading zeros to its length)
+   * @param base         the base to format the value in (2-36)
+   * @param baseCase     the case to use for letters (lowercase or uppercase)
+   * @param leadingZeros if true, pad with leading zeros, false don't pad
+   * @return {string} the formatted number
+   * @private
+   */
+  function formatNumber(value, selection, base, baseCase, leadingZeros) {
+    let formatted = value < 0n ? (-value).toString(base) : value.toString(base);
+    // Leading 0s (only the digits are padded, the negative sign always comes first)
+    const digitsLength = selection.charAt(0) === "-" ? selection.length - 1 : selection.length;
+    if (leadingZeros && digitsLength > formatted.length) {
+      formatted = "0".repeat(digitsLength - formatted.length) + formatted;
+    }
+    if (/[a-z]/i.test(formatted)) { // If Alphanumeric, convert case
+      formatted = baseCase === "lowercase" ? formatted.toLowerCase() : baseCase === "uppercase" ? formatted.toUpperCase() : formatted;
+    }
+    return (value < 0n ? "-" : "") + formatted;
+  }
+
+  /**
+   * Calculates the modulo of two BigInts, always returning a non-negative result (unlike the % operator).
+   *
+   * @param dividend the dividend
+   * @param divisor  the divisor (must be positive)
+   * @return {BigInt} the non-negative modulo
+   * @private
+   */
+  function modBigInt(dividend, divisor) {
+    return ((dividend % divisor) + divisor) % divisor;
+  }
+
+  /**
+   * Parses a string in the specified base into a BigInt. BigInt() can only parse base 10 strings (or strings prefixed
+   * with 0x, 0o, 0b), so each digit is parsed individually instead. The string may start with a negative sign.
+   *
+   * @param text the string to parse (e.g. 7fffffffffffffffff or -20)
+   * @param base the base of the string (2-36)
+   * @return {BigInt} the parsed BigInt or undefined if the string is empty or has a digit that isn't in the base
+   * @public
+   */
+  function parseBigInt(text, base) {
+    const bigBase = BigInt(base),
+          negative = text ? text.charAt(0) === "-" : false,
+          digits = negative ? text.substring(1) : text;
+    let result = 0n;
+    if (!digits) {
+      return undefined;
+    }
+    for (let digit of digits) {
+      const value = parseInt(digit, base);
+      if (isNaN(value)) {
+        return undefined;
+      }
+      result = result * bigBase + BigInt(value);
+    }
+    return negative ? -result : result;
+  }
+
+  /**
+   * Modifies the instance's URL by either incrementing or decrementing its selection. If multi is enabled, the
+   * instance's multiple selections (parts) are modified instead: either all of them or only the part in the action
+   * (e.g. increment2). As each part is modified, the selectionStart of every part after it is shifted by the change in
+   * length so the offsets stay correct (e.g. when 9 is incremented to 10).
+   *
+   * The instance's bounds apply to every part. If the bounds behavior is bounce, each part (or the instance itself)
+   * remembers whether its direction is reversed in its boundReversed property.
+   *
+   * If shuffle is enabled, the selection is modified by the shuffle order instead (see modifyShuffle).
+   *
+   * Updates the instance's url, selection, multi, shuffle, and boundReached properties.
+   *
+   * @param action   the action to perform (increment or decrement, optionally followed by a part number, e.g. increment2)
+   * @param instance the instance containing the URL and selection properties to modify
+   * @public
+   */
+  function modifyInstanceURL(action, instance) {
+    const direction = action.replace(/\d+$/, ""),
+          partNumber = +action.substring(direction.length),
+          bounds = { "min": instance.boundMin, "max": instance.boundMax, "behavior": instance.boundBehavior, "negative": instance.negativeEnabled };
+    instance.boundReached = false;
+    if (instance.templateEnabled) {
+      if (!partNumber) {
+        modifyTemplate(direction, instance);
+      }
+    } else if (instance.shuffleEnabled) {
+      if (!partNumber) {
+        modifyShuffle(direction, instance);
+      }
+    } else if (instance.multiEnabled && instance.multi && instance.multi.length > 0) {
+      instance.multi.forEach(function(part, index) {
+        if (partNumber && partNumber !== index + 1) {
+          return;
+        }
+        const urlProps = modifyPart(direction, instance.url, part, bounds),
+              lengthDifference = urlProps.selectionmod.length - part.selection.length;
+        for (let other of instance.multi) {
+          if (other.selectionStart > part.selectionStart) {
+            other.selectionStart += lengthDifference;
           }
-          // Recursively call this method again to perform the action again and skip this URL, decrementing errorSkipRemaining and setting errorCodeEncountered to true
-          modifyURLAndSkipErrors(action, instance, errorSkipRemaining - 1, true);
-        } else {
-          //console.log("URLI.IncrementDecrement.modifyURLAndSkipErrors() - not attempting to skip this URL because response.status=" + response.status  + " and it was not in errorCodes. aborting and updating tab");
-          chrome.runtime.sendMessage({greeting: "incrementDecrementSkipErrors", "instance": instance});
         }
-      }).catch(e => {
-        //console.log("URLI.IncrementDecrement.modifyURLAndSkipErrors() - a fetch() exception was caught:" + e);
-        chrome.runtime.sendMessage({greeting: "setBadgeSkipErrors", "errorCode": "ERR", "instance": instance});
-        chrome.runtime.sendMessage({greeting: "incrementDecrementSkipErrors", "instance": instance});
+        instance.url = urlProps.urlmod;
+        instance.boundReached = instance.boundReached || urlProps.boundReached;
+        part.selection = urlProps.selectionmod;
       });
+      // The instance's selection always mirrors the first part (e.g. for the popup to highlight it)
+      instance.selection = instance.multi[0].selection;
+      instance.selectionStart = instance.multi[0].selectionStart;
+    } else if (!partNumber) {
+      const urlProps = modifyPart(direction, instance.url, instance, bounds);
+      instance.url = urlProps.urlmod;
+      instance.boundReached = urlProps.boundReached;
+      instance.selection = urlProps.selectionmod;
+    }
+    if (!instance.templateEnabled && instance.derived && instance.derived.length > 0) {
+      modifyDerived(instance);
+    }
+  }
+
+  /**
+   * Modifies the instance's URL in shuffle mode. Shuffle visits the values from shuffleStart to shuffleEnd (stepping by
+   * the interval) in a random order without repeats. The order the values were visited in is kept in shuffleOrder and
+   * the current value's position in it is shufflePosition:
+   * increment: goes forward in the order, or if at the end, picks a not yet visited value at random
+   * decrement: goes back in the order that was already visited
+   * When every value has been visited, the shuffle has reached its stop bound (e.g. auto will end).
+   *
+   * @param action   the action to perform (increment or decrement)
+   * @param instance the instance containing the URL, selection, and shuffle properties to modify
+   * @private
+   */
+  function modifyShuffle(action, instance) {
+    const count = getShuffleCount(instance);
+    if (action === "increment" && instance.shufflePosition < instance.shuffleOrder.length - 1) {
+      instance.shufflePosition++;
+    } else if (action === "increment" && instance.shuffleOrder.length < count) {
+      const next = instance.shuffleOrder.length;
+      instance.shuffleOrder.push(takeShuffleIndex(instance, next + Math.floor(Math.random() * (count - next))));
+      instance.shufflePosition++;
+    } else if (action === "decrement" && instance.shufflePosition > 0) {
+      instance.shufflePosition--;
+    } else {
+      return;
+    }
+    instance.boundReached = action === "increment" && instance.shuffleOrder.length === count && instance.shufflePosition === count - 1;
+    const value = parseBigInt(instance.shuffleStart, instance.base) + BigInt(instance.shuffleOrder[instance.shufflePosition]) * BigInt(instance.interval),
+          selectionmod = formatNumber(value, instance.selection, instance.base, instance.baseCase, instance.leadingZeros);
+    if (instance.selectionParam && instance.selectionParam.encoding) {
+      const located = decodeParam(instance.url, instance.selectionParam);
+      if (located) {
+        instance.url = replaceEncodedParam(instance.url, instance.selectionParam, located, located.decoded.substring(0, instance.selectionStart) + selectionmod + located.decoded.substring(instance.selectionStart + instance.selection.length));
+      }
     } else {
-      //console.log("URLI.IncrementDecrement.modifyURLAndSkipErrors() - " + (origin !== urlOrigin ? "the instance's URL origin does not match this page's URL origin" : "we have exhausted the errorSkip attempts") + ". aborting and updating tab ");
-      chrome.runtime.sendMessage({greeting: "incrementDecrementSkipErrors", "instance": instance});
+      instance.url = instance.url.substring(0, instance.selectionStart) + selectionmod + instance.url.substring(instance.selectionStart + instance.selection.length);
     }
+    instance.selection = selectionmod;
+  }
+
+  /**
+   * Takes an index out of the shuffle's remaining indices. This is a lazy Fisher-Yates shuffle: the remaining indices
+   * are conceptually an array from the number of visited values to count - 1, but only the swapped positions are
+   * stored (in shuffleSwaps), so the memory used only grows with the number of values that have been visited.
+   *
+   * @param instance the instance containing the shuffle properties
+   * @param position the position in the remaining indices to take (e.g. a random position)
+   * @return {number} the index that was taken
+   * @private
+   */
+  function takeShuffleIndex(instance, position) {
+    const swaps = instance.shuffleSwaps,
+          next = instance.shuffleOrder.length,
+          index = swaps[position] !== undefined ? swaps[position] : position;
+    swaps[position] = swaps[next] !== undefined ? swaps[next] : next;
+    delete swaps[next];
+    return index;
+  }
+
+  /**
+   * Gets how many values there are from shuffleStart to shuffleEnd when stepping by the interval.
+   *
+   * @param instance the instance containing the shuffle properties
+   * @return {number} the number of values
+   * @private
+   */
+  function getShuffleCount(instance) {
+    const start = parseBigInt(instance.shuffleStart, instance.base),
+          end = parseBigInt(instance.shuffleEnd, instance.base);
+    return Number((end - start) / BigInt(instance.interval)) + 1;
+  }
+
+  /**
+   * Gets how many values have not been visited yet in shuffle mode.
+   *
+   * @param instance the instance containing the shuffle properties
+   * @return {number} the number of values left
+   * @public
+   */
+  function getShuffleRemaining(instance) {
+    return getShuffleCount(instance) - instance.shuffleOrder.length;
+  }
+
+  /**
+   * Resets the instance's shuffle so no values have been visited. If the current selection is one of the shuffle's
+   * values, it counts as the first visited value so that it won't be visited again.
+   *
+   * @param instance the instance containing the selection and shuffle properties
+   * @public
+   */
+  function resetShuffle(instance) {
+    instance.shuffleOrder = [];
+    instance.shufflePosition = -1;
+    instance.shuffleSwaps = {};
+    const start = parseBigInt(instance.shuffleStart, instance.base),
+          end = parseBigInt(instance.shuffleEnd, instance.base),
+          interval = BigInt(instance.interval),
+          value = parseBigInt(instance.selection, instance.base);
+    if (value !== undefined && value >= start && value <= end && (value - start) % interval === 0n) {
+      instance.shuffleOrder.push(takeShuffleIndex(instance, Number((value - start) / interval)));
+      instance.shufflePosition = 0;
+    }
+  }
+
+  /**
+   * Modifies the instance's URL in template mode by incrementing or decrementing the template's counter (n) by 1 and
+   * rendering the template with it. The counter stays between templateStart and templateEnd (if there is an end).
+   * When the counter reaches either end, the template has reached its stop bound (e.g. auto will end).
+   *
+   * @param action   the action to perform (increment or decrement)
+   * @param instance the instance containing the template properties to modify
+   * @private
+   */
+  function modifyTemplate(action, instance) {
+    const value = instance.templateValue + (action === "increment" ? 1 : -1),
+          url = value >= instance.templateStart && (instance.templateEnd === "" || value <= instance.templateEnd) ? renderTemplate(instance.template, value) : undefined;
+    if (url === undefined) {
+      instance.boundReached = true;
+      return;
+    }
+    instance.templateValue = value;
+    instance.url = url;
+    instance.boundReached = action === "increment" ? value === instance.templateEnd : value === instance.templateStart;
+  }
+
+  /**
+   * Parses a URL template into its parts. Literal text is kept as strings and each {placeholder} becomes an object with
+   * the expression's tokens and the width to pad it to with leading zeros, for example:
+   * {n} is the counter, {n:04} is the counter padded to 4 digits, and {n*2+1} is an expression of the counter
+   * Expressions can use integers, n, + - * / % (integer division), and parentheses. Literal braces are written as {{ and }}.
+   *
+   * @param template the URL template (e.g. https://example.com/p/{n:04}/img_{n*2+1}.jpg)
+   * @return {*[]} the template's parts, or undefined if the template is invalid or has no placeholders
+   * @public
+   */
+  function parseTemplate(template) {
+    const parts = [];
+    let text = "";
+    for (let i = 0; i < template.length; i++) {
+      const char = template.charAt(i);
+      if ((char === "{" || char === "}") && template.charAt(i + 1) === char) {
+        text += char;
+        i++;
+      } else if (char === "{") {
+        const end = template.indexOf("}", i),
+              placeholder = end >= 0 ? /^([^:]+)(?::(\d+))?$/.exec(template.substring(i + 1, end).replace(/\s+/g, "")) : null;
+        if (!placeholder) {
+          return undefined;
+        }
+        const tokens = tokenizeExpression(placeholder[1]);
+        try { // Check the expression's syntax once (the counter's value doesn't matter)
+          evaluateExpression(tokens, {"n": 0});
+        } catch (e) {
+          return undefined;
+        }
+        parts.push(text, { "tokens": tokens, "width": placeholder[2] ? +placeholder[2] : 0 });
+        text = "";
+        i = end;
+      } else if (char === "}") {
+        return undefined;
+      } else {
+        text += char;
+      }
+    }
+    parts.push(text);
+    return parts.length > 1 ? parts : undefined;
+  }
+
+  /**
+   * Renders a URL template with the counter's value.
+   *
+   * @param template the URL template (e.g. https://example.com/p/{n:04}/img_{n*2+1}.jpg)
+   * @param n        the counter's value
+   * @return {string} the rendered URL, or undefined if the template is invalid or an expression isn't a safe integer
+   * @public
+   */
+  function renderTemplate(template, n) {
+    const parts = parseTemplate(template);
+    let url = "";
+    if (!parts) {
+      return undefined;
+    }
+    for (let part of parts) {
+      if (typeof part === "string") {
+        url += part;
+        continue;
+      }
+      const value = evaluateExpression(part.tokens, {"n": n});
+      if (!Number.isSafeInteger(value)) {
+        return undefined;
+      }
+      url += (value < 0 ? "-" : "") + String(Math.abs(value)).padStart(part.width, "0");
+    }
+    return url;
+  }
+
+  /**
+   * Splits an expression into its tokens: integers, variable names, and single characters (operators and parentheses).
+   *
+   * @param expression the expression (e.g. (page - 1) * 20)
+   * @return {string[]} the expression's tokens (e.g. ["(", "page", "-", "1", ")", "*", "20"])
+   * @private
+   */
+  function tokenizeExpression(expression) {
+    return expression.replace(/\s+/g, "").match(/\d+|[a-z_]\w*|./gi) || [];
+  }
+
+  /**
+   * Evaluates an expression's tokens using recursive descent (multiplicative operators before additive ones).
+   *
+   * @param tokens    the expression's tokens (e.g. ["n", "*", "2", "+", "1"])
+   * @param variables the variables' values by name (e.g. {n: 3})
+   * @return {number} the expression's value
+   * @throws an error if the expression's syntax is invalid or it has an unknown variable
+   * @private
+   */
+  function evaluateExpression(tokens, variables) {
+    let position = 0;
+    const value = expression();
+    if (position !== tokens.length) {
+      throw new SyntaxError("unexpected token: " + tokens[position]);
+    }
+    return value;
+
+    function expression() {
+      let value = term();
+      while (tokens[position] === "+" || tokens[position] === "-") {
+        value = tokens[position++] === "+" ? value + term() : value - term();
+      }
+      return value;
+    }
+
+    function term() {
+      let value = factor();
+      while (tokens[position] === "*" || tokens[position] === "/" || tokens[position] === "%") {
+        const operator = tokens[position++],
+              operand = factor();
+        value = operator === "*" ? value * operand : operator === "/" ? Math.trunc(value / operand) : value % operand;
+      }
+      return value;
+    }
+
+    function factor() {
+      const token = tokens[position++];
+      if (token === "-") {
+        return -factor();
+      } else if (/^\d+$/.test(token)) {
+        return +token;
+      } else if (Object.prototype.hasOwnProperty.call(variables, token)) {
+        return variables[token];
+      } else if (token === "(") {
+        const value = expression();
+        if (tokens[position++] !== ")") {
+          throw new SyntaxError("missing )");
+        }
+        return value;
+      }
+      throw new SyntaxError("unexpected token: " + token);
+    }
+  }
+
+  /**
+   * Parses derived parameter rules. Each line is a rule like "start = (page - 1) * 20": the query (or hash) parameter
+   * on the left is set to the expression's value whenever the selection changes. The expression can use n for the
+   * selection's value, or the name of the parameter the selection is bound to (e.g. page).
+   *
+   * @param text           the rules, one per line
+   * @param selectionParam (optional) the parameter the selection is bound to
+   * @return {*[]} the rules [{param, expression}] or undefined if a rule is invalid
+   * @public
+   */
+  function parseDerivedRules(text, selectionParam) {
+    const rules = [];
+    for (let line of text.split(/\r?\n/)) {
+      if (!line.trim()) {
+        continue;
+      }
+      const match = /^\s*([^=\s]+)\s*=(.+)$/.exec(line);
+      if (!match) {
+        return undefined;
+      }
+      try { // Check the expression's syntax and variables once (the selection's value doesn't matter)
+        evaluateExpression(tokenizeExpression(match[2]), getDerivedVariables(0, selectionParam));
+      } catch (e) {
+        return undefined;
+      }
+      rules.push({"param": match[1], "expression": match[2].trim()});
+    }
+    return rules;
+  }
+
+  /**
+   * Modifies the instance's URL by setting each derived parameter to its rule's value for the current selection. The
+   * derived parameters' values are replaced in place, and any selections after them are moved if their lengths change.
+   * Derived parameters that aren't in the URL (or that are the selection itself) are skipped.
+   *
+   * @param instance the instance containing the URL, selection, and derived rules
+   * @private
+   */
+  function modifyDerived(instance) {
+    const value = isNaN(instance.base) ? undefined : parseBigInt(instance.selection, instance.base);
+    if (value === undefined) {
+      return;
+    }
+    const variables = getDerivedVariables(Number(value), instance.selectionParam),
+          parts = [instance].concat(instance.multiEnabled && instance.multi ? instance.multi : []);
+    for (let rule of instance.derived) {
+      const located = locateParam(instance.url, {"type": "query", "name": rule.param}) || locateParam(instance.url, {"type": "hash", "name": rule.param});
+      let result;
+      try {
+        result = evaluateExpression(tokenizeExpression(rule.expression), variables);
+      } catch (e) {
+        continue;
+      }
+      // The selection itself is skipped (by its parameter if it's bound to one, as an encoded selection's start is in its decoded value)
+      const isSelection = located && (instance.selectionParam ? located.param.type === instance.selectionParam.type && located.param.name === instance.selectionParam.name : located.start === instance.selectionStart);
+      if (!located || isSelection || !Number.isSafeInteger(result)) {
+        continue;
+      }
+      const text = result + "",
+            lengthDifference = text.length - located.value.length;
+      instance.url = instance.url.substring(0, located.start) + text + instance.url.substring(located.start + located.value.length);
+      for (let part of parts) {
+        if (!(part.selectionParam && part.selectionParam.encoding) && part.selectionStart > located.start) {
+          part.selectionStart += lengthDifference;
+        }
+      }
+    }
+  }
+
+  /**
+   * Gets the variables that derived parameter rules can use.
+   *
+   * @param value          the selection's value
+   * @param selectionParam (optional) the parameter the selection is bound to
+   * @return {*} the variables' values by name (n and the bound parameter's name)
+   * @private
+   */
+  function getDerivedVariables(value, selectionParam) {
+    const variables = {"n": value};
+    if (selectionParam && selectionParam.name) {
+      variables[selectionParam.name] = value;
+    }
+    return variables;
+  }
+
+  /**
+   * Modifies the URL by either incrementing or decrementing the part's selection. If the part's direction was reversed
+   * by a bounce, the opposite action is performed. If the part is bound to a parameter, the parameter's current value
+   * is modified (wherever it is now) and then set in the URL, and the part's selectionStart is updated to match. If the
+   * parameter is encoded, the selection is in its decoded value, which is modified and then encoded again.
+   *
+   * @param action the action to perform (increment or decrement)
+   * @param url    the URL that will be modified
+   * @param part   the part (or instance) containing the selection properties and the boundReversed state
+   * @param bounds the instance's bounds
+   * @return JSON object {urlmod: modified url, selectionmod: modified selection, boundReached: if a stop bound was reached}
+   * @private
+   */
+  function modifyPart(action, url, part, bounds) {
+    const reversedAction = part.boundReversed ? (action === "increment" ? "decrement" : "increment") : action;
+    let urlProps;
+    if (part.selectionParam && part.selectionParam.encoding) {
+      // The selection and selectionStart are in the decoded value, so they stay where they are
+      const located = decodeParam(url, part.selectionParam);
+      if (!located) {
+        return {urlmod: url, selectionmod: part.selection, boundReached: false, boundReversed: false};
+      }
+      urlProps = modifyURL(reversedAction, located.decoded, part.selection, part.selectionStart, part.interval, part.base, part.baseCase, part.leadingZeros, part.baseDateFormat, part.baseDateUnit, part.baseAlphabet, part.baseWordList, bounds);
+      urlProps.urlmod = replaceEncodedParam(url, part.selectionParam, located, urlProps.urlmod);
+    } else if (part.selectionParam) {
+      const located = locateParam(url, part.selectionParam);
+      if (!located) {
+        return {urlmod: url, selectionmod: part.selection, boundReached: false, boundReversed: false};
+      }
+      urlProps = modifyURL(reversedAction, located.value, located.value, 0, part.interval, part.base, part.baseCase, part.leadingZeros, part.baseDateFormat, part.baseDateUnit, part.baseAlphabet, part.baseWordList, bounds);
+      urlProps.urlmod = setParam(url, part.selectionParam, urlProps.selectionmod);
+      const relocated = locateParam(urlProps.urlmod, part.selectionParam) || located;
+      urlProps.selectionmod = relocated.value;
+      part.selectionStart = relocated.start;
+    } else {
+      urlProps = modifyURL(reversedAction, url, part.selection, part.selectionStart, part.interval, part.base, part.baseCase, part.leadingZeros, part.baseDateFormat, part.baseDateUnit, part.baseAlphabet, part.baseWordList, bounds);
+    }
+    if (urlProps.boundReversed) {
+      part.boundReversed = !part.boundReversed;
+    }
+    return urlProps;
+  }
+
+  /**
+   * Modifies a decimal number selection (e.g. 1.25) by either incrementing or decrementing it by the interval and then
+   * applies the bounds. To avoid floating-point artifacts (e.g. 1.3000000000000003), the arithmetic is done on integers
+   * that are scaled by the number of decimal places, so the bounds work just like they do for numbers (see
+   * modifyNumber). The result keeps the selection's number of decimal places, or the interval's or a bound's if it has
+   * more (e.g. 1.5 + 0.25 = 1.75).
+   *
+   * @param action       the action to perform (increment or decrement)
+   * @param selection    the decimal number selection to modify (e.g. 1.25 or -0.5)
+   * @param interval     the amount to increment or decrement (e.g. 0.05)
+   * @param leadingZeros if true, pad the integer part with leading zeros, false don't pad
+   * @param bounds       the bounds {min, max, behavior, negative}: min and max are decimal numbers ("" if not set)
+   * @return JSON object {decimal: the modified decimal number selection, boundReached: if a stop bound was reached, boundReversed: if a bounce reversed the direction}
+   * @private
+   */
+  function modifyDecimal(action, selection, interval, leadingZeros, bounds) {
+    const boundsParts = [bounds.min, bounds.max].map(bound => bound || bound === 0 ? (bound + "").split(".") : undefined),
+          selectionParts = selection.split("."),
+          intervalParts = (interval + "").split("."),
+          decimals = Math.max(...[selectionParts, intervalParts].concat(boundsParts).map(parts => parts && parts[1] ? parts[1].length : 0)),
+          numberProps = modifyNumber(action, scaleDecimal(selectionParts, decimals) + "", scaleDecimal(intervalParts, decimals) + "", 10, {
+            "min": boundsParts[0] ? scaleDecimal(boundsParts[0], decimals) + "" : "",
+            "max": boundsParts[1] ? scaleDecimal(boundsParts[1], decimals) + "" : "",
+            "behavior": bounds.behavior, "negative": bounds.negative });
+    let digits = (numberProps.value < 0n ? -numberProps.value : numberProps.value) + "",
+        integer,
+        fraction;
+    if (digits.length <= decimals) {
+      digits = "0".repeat(decimals - digits.length + 1) + digits;
+    }
+    integer = digits.substring(0, digits.length - decimals);
+    fraction = digits.substring(digits.length - decimals);
+    // Leading 0s (only the digits are padded, the negative sign always comes first)
+    const integerLength = selectionParts[0].charAt(0) === "-" ? selectionParts[0].length - 1 : selectionParts[0].length;
+    if (leadingZeros && integerLength > integer.length) {
+      integer = "0".repeat(integerLength - integer.length) + integer;
+    }
+    return {decimal: (numberProps.value < 0n ? "-" : "") + (decimals > 0 ? integer + "." + fraction : integer), boundReached: numberProps.boundReached, boundReversed: numberProps.boundReversed};
+  }
+
+  /**
+   * Scales a decimal number's parts into an integer with the specified number of decimal places (e.g. 1.25 with 3
+   * decimal places is 1250). A BigInt is used so that numbers with many digits keep their precision.
+   *
+   * @param parts    the decimal number's integer part [0] (which may start with a negative sign) and fractional part [1] (optional)
+   * @param decimals the number of decimal places to scale by
+   * @return {bigint} the scaled integer
+   * @private
+   */
+  function scaleDecimal(parts, decimals) {
+    const fraction = parts[1] ? parts[1] : "";
+    return BigInt(parts[0] + fraction + "0".repeat(decimals - fraction.length));
+  }
+
+  /**
+   * Modifies a custom alphabet selection by either incrementing or decrementing it by the interval. There are two ways
+   * to count with an alphabet:
+   * positional: like a normal base, the first character is zero (e.g. 0-9A-Za-z: 9, A, ... z, 10)
+   * bijective:  there is no zero, the first character is one (e.g. a-z: a, b, ... z, aa, ab like spreadsheet columns)
+   * The low bound is zero for positional alphabets and the first character for bijective alphabets.
+   *
+   * @param action       the action to perform (increment or decrement)
+   * @param selection    the alphabet selection to modify (e.g. az)
+   * @param interval     the amount to increment or decrement
+   * @param alphabet     the custom alphabet {name, characters, counting}
+   * @param leadingZeros if true, pad with the alphabet's first character (positional only), false don't pad
+   * @return {string} the modified alphabet selection
+   * @private
+   */
+  function modifyAlphabet(action, selection, interval, alphabet, leadingZeros) {
+    const selectionint = parseAlphabet(selection, alphabet),
+          intervalint = BigInt(interval),
+          bijective = alphabet.counting === "bijective",
+          low = bijective ? 1n : 0n;
+    if (selectionint === undefined) {
+      return selection;
+    }
+    let selectionmodint = action === "increment" ? selectionint + intervalint :
+                          action === "decrement" ? selectionint - intervalint :
+                          selectionint;
+    if (selectionmodint < low) {
+      selectionmodint = low;
+    }
+    let selectionmod = formatAlphabet(selectionmodint, alphabet);
+    const selectionLength = Array.from(selection).length,
+          selectionmodLength = Array.from(selectionmod).length;
+    if (leadingZeros && !bijective && selectionLength > selectionmodLength) {
+      selectionmod = Array.from(alphabet.characters)[0].repeat(selectionLength - selectionmodLength) + selectionmod;
+    }
+    return selectionmod;
+  }
+
+  /**
+   * Parses a custom alphabet string into a BigInt.
+   *
+   * @param text     the string to parse (e.g. az)
+   * @param alphabet the custom alphabet {name, characters, counting}
+   * @return {BigInt} the parsed BigInt or undefined if the string is empty or has a character that isn't in the alphabet
+   * @public
+   */
+  function parseAlphabet(text, alphabet) {
+    const characters = alphabet && alphabet.characters ? Array.from(alphabet.characters) : [],
+          base = BigInt(characters.length),
+          offset = alphabet && alphabet.counting === "bijective" ? 1 : 0;
+    let result = 0n;
+    if (!text || characters.length < 2) {
+      return undefined;
+    }
+    for (let character of text) {
+      const index = characters.indexOf(character);
+      if (index === -1) {
+        return undefined;
+      }
+      result = result * base + BigInt(index + offset);
+    }
+    return result;
+  }
+
+  /**
+   * Formats a BigInt into a custom alphabet string.
+   *
+   * @param value    the BigInt to format (must be at least 1 if the alphabet is bijective)
+   * @param alphabet the custom alphabet {name, characters, counting}
+   * @return {string} the formatted alphabet string
+   * @private
+   */
+  function formatAlphabet(value, alphabet) {
+    const characters = Array.from(alphabet.characters),
+          base = BigInt(characters.length),
+          bijective = alphabet.counting === "bijective";
+    let result = "";
+    if (!bijective && value === 0n) {
+      return characters[0];
+    }
+    while (value > 0n) {
+      // Bijective digits are 1 to base instead of 0 to base - 1, so shift each digit down by one before dividing
+      if (bijective) {
+        value -= 1n;
+      }
+      result = characters[Number(value % base)] + result;
+      value /= base;
+    }
+    return result;
+  }
+
+  /**
+   * Modifies a word list selection (e.g. january) by either incrementing or decrementing it by the interval, moving
+   * through the word list in order. The new word matches the case of the selection (e.g. January + 1 = February),
+   * unless the selection is written exactly like its word in the list (e.g. iPhone + 1 = iPad).
+   * The list's first and last words are its bounds, so the bounds behavior decides what happens past them (e.g. with
+   * wrap, December + 1 = January).
+   *
+   * @param action    the action to perform (increment or decrement)
+   * @param selection the word selection to modify (e.g. january)
+   * @param interval  the number of words to move by
+   * @param wordList  the word list {name, words}
+   * @param bounds    the bounds (only the behavior is used: stop, wrap, or bounce)
+   * @return JSON object {word: the modified word, boundReached: if a stop bound was reached, boundReversed: if a bounce reversed the direction}
+   * @private
+   */
+  function modifyWord(action, selection, interval, wordList, bounds) {
+    const index = parseWord(selection, wordList);
+    if (index === undefined) {
+      return {word: selection, boundReached: false, boundReversed: false};
+    }
+    const numberProps = modifyNumber(action, index + "", interval, 10, { "min": 0, "max": wordList.words.length - 1, "behavior": bounds.behavior }),
+          word = wordList.words[Number(numberProps.value)];
+    // If the selection is written exactly like its word in the list, the list's words are used as they are (e.g. iPhone + 1 = iPad)
+    return {word: selection === wordList.words[index] ? word : matchCase(word, selection), boundReached: numberProps.boundReached, boundReversed: numberProps.boundReversed};
+  }
+
+  /**
+   * Parses a word into its position in the word list (ignoring case).
+   *
+   * @param text     the word to parse (e.g. January)
+   * @param wordList the word list {name, words}
+   * @return {number} the word's index in the list or undefined if the word isn't in the list
+   * @public
+   */
+  function parseWord(text, wordList) {
+    const index = wordList && wordList.words ? wordList.words.findIndex(word => word.toLowerCase() === text.toLowerCase()) : -1;
+    return index >= 0 ? index : undefined;
+  }
+
+  /**
+   * Modifies a roman numeral selection (e.g. xiv) by either incrementing or decrementing it by the interval and then
+   * applies the bounds (see modifyNumber). Roman numerals have no zero, so they are always bound from 1 (I) to 3999
+   * (MMMCMXCIX), even if there is no min or max bound (so they can wrap or bounce off these too). The selection's case
+   * is preserved (see matchRomanCase).
+   *
+   * @param action    the action to perform (increment or decrement)
+   * @param selection the roman numeral selection to modify (e.g. xiv)
+   * @param interval  the amount to increment or decrement
+   * @param bounds    the bounds {min, max, behavior}: min and max are roman numerals ("" if not set)
+   * @return JSON object {roman: the modified roman numeral selection, boundReached: if a stop bound was reached, boundReversed: if a bounce reversed the direction}
+   * @private
+   */
+  function modifyRoman(action, selection, interval, bounds) {
+    const selectionint = parseRoman(selection);
+    if (isNaN(selectionint)) {
+      return {roman: selection, boundReached: false, boundReversed: false};
+    }
+    const min = bounds.min ? parseRoman(bounds.min + "") : NaN,
+          max = bounds.max ? parseRoman(bounds.max + "") : NaN,
+          numberProps = modifyNumber(action, selectionint + "", interval, 10, { "min": isNaN(min) ? 1 : min, "max": isNaN(max) ? 3999 : max, "behavior": bounds.behavior });
+    return {roman: matchRomanCase(formatRoman(Number(numberProps.value)), selection), boundReached: numberProps.boundReached, boundReversed: numberProps.boundReversed};
+  }
+
+  /**
+   * Converts the case of a roman numeral to match the case of a pattern letter by letter (e.g. XV with the pattern Xiv
+   * is Xv). If the numeral is longer than the pattern, the extra letters use the case of the pattern's last letter.
+   *
+   * @param numeral the roman numeral to convert (e.g. XV)
+   * @param pattern the pattern whose case to match (e.g. Xiv)
+   * @return {string} the roman numeral in the matching case
+   * @private
+   */
+  function matchRomanCase(numeral, pattern) {
+    let text = "";
+    for (let i = 0; i < numeral.length; i++) {
+      const letter = pattern.charAt(Math.min(i, pattern.length - 1));
+      text += letter === letter.toLowerCase() ? numeral.charAt(i).toLowerCase() : numeral.charAt(i).toUpperCase();
+    }
+    return text;
+  }
+
+  /**
+   * Parses a roman numeral String (in either case) into its integer value. Only standard roman numerals are valid
+   * (e.g. IV is valid, but IIII and IL are not).
+   *
+   * @param text the roman numeral String to parse (e.g. xiv)
+   * @return {number} the integer value (e.g. 14) or NaN if the text isn't a valid roman numeral
+   * @public
+   */
+  function parseRoman(text) {
+    const upper = text ? text.toUpperCase() : "";
+    let value = 0,
+        index = 0;
+    for (let numeral of ROMAN_NUMERALS) {
+      while (upper.startsWith(numeral[0], index)) {
+        value += numeral[1];
+        index += numeral[0].length;
+      }
+    }
+    // Round trip the value to make sure the numeral was written in its standard form
+    return value > 0 && value <= 3999 && index === upper.length && formatRoman(value) === upper ? value : NaN;
+  }
+
+  /**
+   * Formats an integer into an uppercase roman numeral String.
+   *
+   * @param number the integer to format (1-3999)
+   * @return {string} the roman numeral String (e.g. XIV)
+   * @private
+   */
+  function formatRoman(number) {
+    let text = "";
+    for (let numeral of ROMAN_NUMERALS) {
+      while (number >= numeral[1]) {
+        text += numeral[0];
+        number -= numeral[1];
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Modifies a date time selection by either incrementing or decrementing it by the interval in the date unit.
+   * If the date can't be parsed using the date format, the selection is returned unmodified.
+   *
+   * @param action         the action to perform (increment or decrement)
+   * @param selection      the date time selection to modify (e.g. 2020/01/31)
+   * @param interval       the amount to increment or decrement
+   * @param baseDateFormat the date format of the selection (e.g. yyyy/mm/dd)
+   * @param baseDateUnit   the date unit the interval is in (years, months, days, hours, minutes, or seconds)
+   * @return {string} the modified date time selection
+   * @private
+   */
+  function modifyDate(action, selection, interval, baseDateFormat, baseDateUnit) {
+    const date = parseDate(selection, baseDateFormat),
+          amount = action === "increment" ? interval : action === "decrement" ? -interval : 0;
+    if (!date) {
+      return selection;
+    }
+    switch (baseDateUnit) {
+      case "years":
+      case "months": {
+        // Adding months is done manually to clamp the day to the last day of the month (e.g. Jan 31 + 1 month = Feb 29, not Mar 2)
+        const months = date.getUTCFullYear() * 12 + date.getUTCMonth() + (baseDateUnit === "years" ? amount * 12 : amount),
+              year = Math.floor(months / 12),
+              month = months - (year * 12),
+              daysInMonth = new Date(Date.UTC(2000, month + 1, 0)).getUTCDate() - (month === 1 && !isLeapYear(year) ? 1 : 0);
+        date.setUTCFullYear(year, month, Math.min(date.getUTCDate(), daysInMonth));
+        break;
+      }
+      case "hours":
+        date.setUTCHours(date.getUTCHours() + amount);
+        break;
+      case "minutes":
+        date.setUTCMinutes(date.getUTCMinutes() + amount);
+        break;
+      case "seconds":
+        date.setUTCSeconds(date.getUTCSeconds() + amount);
+        break;
+      case "days":
+      default:
+        date.setUTCDate(date.getUTCDate() + amount);
+        break;
+    }
+    return formatDate(date, baseDateFormat);
+  }
+
+  /**
+   * Parses a date time String using the date format. Date parts that are not in the format default to the
+   * earliest value (e.g. the 1st day of the month) and the year defaults to 2000.
+   *
+   * @param text           the date time String to parse (e.g. 2020/01/31)
+   * @param baseDateFormat the date format to parse with (e.g. yyyy/mm/dd)
+   * @return {Date} the parsed date (in UTC) or undefined if the text doesn't match the format or isn't a valid date
+   * @public
+   */
+  function parseDate(text, baseDateFormat) {
+    const parts = baseDateFormat ? baseDateFormat.match(DATE_FORMAT_PARTS) : null,
+          matches = parts ? new RegExp("^" + buildDateRegExpSource(baseDateFormat) + "$", "i").exec(text) : null;
+    if (!matches) {
+      return undefined;
+    }
+    const values = { "year": 2000, "month": 0, "day": 1, "hour": 0, "minute": 0, "second": 0 };
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i].toLowerCase(),
+            match = matches[i + 1];
+      switch (part) {
+        case "yyyy": values.year = +match; break;
+        case "yy":   values.year = 2000 + +match; break;
+        case "mmmm": values.month = DATE_MONTH_NAMES.indexOf(match.toLowerCase()); break;
+        case "mmm":  values.month = DATE_MONTH_NAMES.findIndex(name => name.substring(0, 3) === match.toLowerCase()); break;
+        case "mm":   case "m":  values.month = +match - 1; break;
+        case "dd":   case "d":  values.day = +match; break;
+        case "hh":   case "h":  values.hour = +match; break;
+        case "ii":   case "i":  values.minute = +match; break;
+        case "ss":   case "s":  values.second = +match; break;
+        default: break;
+      }
+    }
+    const date = new Date(Date.UTC(values.year, values.month, values.day, values.hour, values.minute, values.second));
+    // Date.UTC() treats years 0-99 as 1900-1999, so the full year is always set explicitly
+    date.setUTCFullYear(values.year);
+    // Invalid dates (e.g. month 13 or Feb 30) roll over in JavaScript, so we verify the date didn't change
+    if (values.month < 0 || date.getUTCMonth() !== values.month || date.getUTCDate() !== values.day ||
+        date.getUTCHours() !== values.hour || date.getUTCMinutes() !== values.minute || date.getUTCSeconds() !== values.second) {
+      return undefined;
+    }
+    return date;
+  }
+
+  /**
+   * Formats a date into a date time String using the date format. Month names (mmmm and mmm) are formatted in the
+   * same case as the format part is written in (e.g. MMM = JAN, Mmm = Jan, and mmm = jan).
+   *
+   * @param date           the date (in UTC) to format
+   * @param baseDateFormat the date format to format with (e.g. yyyy/mm/dd)
+   * @return {string} the formatted date time String
+   * @private
+   */
+  function formatDate(date, baseDateFormat) {
+    return baseDateFormat.replace(DATE_FORMAT_PARTS, function(part) {
+      const month = DATE_MONTH_NAMES[date.getUTCMonth()];
+      switch (part.toLowerCase()) {
+        case "yyyy": return padDate(date.getUTCFullYear(), 4);
+        case "yy":   return padDate(date.getUTCFullYear() % 100, 2);
+        case "mmmm": return matchCase(month, part);
+        case "mmm":  return matchCase(month.substring(0, 3), part);
+        case "mm":   return padDate(date.getUTCMonth() + 1, 2);
+        case "m":    return (date.getUTCMonth() + 1) + "";
+        case "dd":   return padDate(date.getUTCDate(), 2);
+        case "d":    return date.getUTCDate() + "";
+        case "hh":   return padDate(date.getUTCHours(), 2);
+        case "h":    return date.getUTCHours() + "";
+        case "ii":   return padDate(date.getUTCMinutes(), 2);
+        case "i":    return date.getUTCMinutes() + "";
+        case "ss":   return padDate(date.getUTCSeconds(), 2);
+        case "s":    return date.getUTCSeconds() + "";
+        default:     return part;
+      }
+    });
+  }
+
+  /**
+   * Builds the regular expression source String that matches the date format. Each date format part is a capturing
+   * group and everything else in the format (e.g. separators like / or -) is matched literally.
+   *
+   * @param baseDateFormat the date format to build the regular expression from (e.g. yyyy/mm/dd)
+   * @return {string} the regular expression source String
+   * @private
+   */
+  function buildDateRegExpSource(baseDateFormat) {
+    const PART_PATTERNS = {
+      "yyyy": "(\\d{4})", "yy": "(\\d{2})", "mmmm": "([a-z]{3,9})", "mmm": "([a-z]{3})", "mm": "(\\d{2})", "m": "(\\d{1,2})",
+      "dd": "(\\d{2})", "d": "(\\d{1,2})", "hh": "(\\d{2})", "h": "(\\d{1,2})", "ii": "(\\d{2})", "i": "(\\d{1,2})", "ss": "(\\d{2})", "s": "(\\d{1,2})"
+    };
+    let source = "",
+        lastIndex = 0,
+        match;
+    DATE_FORMAT_PARTS.lastIndex = 0;
+    while ((match = DATE_FORMAT_PARTS.exec(baseDateFormat)) !== null) {
+      source += escapeRegExp(baseDateFormat.substring(lastIndex, match.index)) + PART_PATTERNS[match[0].toLowerCase()];
+      lastIndex = DATE_FORMAT_PARTS.lastIndex;
+    }
+    return source + escapeRegExp(baseDateFormat.substring(lastIndex));
+  }
+
+  /**
+   * Checks if the year is a leap year.
+   *
+   * @param year the year to check
+   * @return {boolean} true if the year is a leap year, false otherwise
+   * @private
+   */
+  function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  }
+
+  /**
+   * Pads a date number with leading zeros to the specified length.
+   *
+   * @param number the date number to pad (e.g. 1)
+   * @param length the length to pad it to (e.g. 2)
+   * @return {string} the padded number (e.g. 01)
+   * @private
+   */
+  function padDate(number, length) {
+    const text = number + "";
+    return text.length < length ? "0".repeat(length - text.length) + text : text;
+  }
+
+  /**
+   * Converts the case of a word to match the case of a pattern. All uppercase patterns produce an all uppercase word,
+   * patterns starting with an uppercase letter produce a capitalized word, and all other patterns produce a lowercase word.
+   *
+   * @param word    the word to convert
+   * @param pattern the pattern whose case to match
+   * @return {string} the word in the matching case
+   * @private
+   */
+  function matchCase(word, pattern) {
+    return pattern === pattern.toUpperCase() ? word.toUpperCase() :
+           pattern.charAt(0) === pattern.charAt(0).toUpperCase() ? word.charAt(0).toUpperCase() + word.substring(1).toLowerCase() :
+           word.toLowerCase();
+  }
+
+  /**
+   * Escapes a String so it can be used literally inside a regular expression.
+   *
+   * @param text the String to escape
+   * @return {string} the escaped String
+   * @private
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
   }
 
   // Return Public Functions
   return {
     findSelection: findSelection,
     modifyURL: modifyURL,
-    modifyURLAndSkipErrors: modifyURLAndSkipErrors
+    modifyInstanceURL: modifyInstanceURL,
+    parseBigInt: parseBigInt,
+    parseAlphabet: parseAlphabet,
+    parseWord: parseWord,
+    findSelectionParam: findSelectionParam,
+    listParams: listParams,
+    decodeParam: decodeParam,
+    detectParamEncoding: detectParamEncoding,
+    parseDerivedRules: parseDerivedRules,
+    getShuffleRemaining: getShuffleRemaining,
+    resetShuffle: resetShuffle,
+    parseTemplate: parseTemplate,
+    renderTemplate: renderTemplate,
+    parseDate: parseDate,
+    parseRoman: parseRoman
   };
 }();
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * URL Incrementer
+ * @copyright © 2020 Roy Six
+ * @license https://github.com/sixcious/url-incrementer/blob/main/LICENSE
+ */
+
+var URLI = URLI || {};
+
+URLI.Navigation = function () {
+
+  /**
+   * Navigates the page to the URL without reloading it. If only the fragment is different (e.g. #/page/3 to #/page/4),
+   * the hash is set, which fires a hashchange event. Otherwise, if the URL has the same origin, history.pushState is
+   * called and a popstate event is dispatched so that single page apps route to the new URL.
+   *
+   * @param url the URL to navigate to
+   * @return {boolean} true if the page navigated, false if it can't navigate to the URL without reloading (e.g. a different origin)
+   * @public
+   */
+  function navigate(url) {
+    let current, next;
+    try {
+      current = new URL(document.location.href);
+      next = new URL(url);
+    } catch (e) {
+      return false;
+    }
+    if (next.origin !== current.origin) {
+      return false;
+    }
+    if (next.href === current.href) {
+      return true;
+    }
+    if (next.hash && next.href.replace(/#.*$/, "") === current.href.replace(/#.*$/, "")) {
+      document.location.hash = next.hash;
+    } else {
+      history.pushState(null, "", next.href);
+      window.dispatchEvent(new PopStateEvent("popstate", { state: null }));
+    }
+    return true;
+  }
+
+  // Return Public Functions
+  return {
+    navigate: navigate
+  };
+}();
@@ -8,30 +8,311 @@ var URLI = URLI || {};
 
 URLI.NextPrev = function () {
 
-  // Keywords are ordered in priority
+  // Keywords are ordered in priority (these are the defaults, which the user can edit in the options)
   // startsWithExcludes helps better prioritize some keywords (e.g. we prefer an "includes" "prev" over a "startsWith" "back")
-  const keywords = {
+  const DEFAULT_KEYWORDS = {
     "next": ["next", "forward", "次", "&gt;", ">", "new"],
     "prev": ["prev", "previous", "前", "&lt;", "<", "‹", "back", "old"],
     "startsWithExcludes": ["&gt;", ">", "new", "&lt;", "<", "‹", "back", "old"]
   },
-  // urls store important, attributes, and innerHTML links that were found
+  // Built-in language packs that can be turned on in the options, their keywords come after the user's
+  KEYWORD_PACKS = [
+    { "id": "arrows", "name": "» → « ←",   "next": ["»", "→", "›", "⟩", "▶", "►"], "prev": ["«", "←", "‹", "⟨", "◀", "◄"], "startsWithExcludes": ["»", "→", "›", "⟩", "▶", "►", "«", "←", "‹", "⟨", "◀", "◄"] },
+    { "id": "de",     "name": "Deutsch",    "next": ["weiter", "nächste"], "prev": ["zurück", "vorherige"] },
+    { "id": "es",     "name": "Español",    "next": ["siguiente"], "prev": ["anterior"] },
+    { "id": "fr",     "name": "Français",   "next": ["suivant"], "prev": ["précédent"] },
+    { "id": "it",     "name": "Italiano",   "next": ["successivo", "avanti"], "prev": ["precedente", "indietro"] },
+    { "id": "nl",     "name": "Nederlands", "next": ["volgende"], "prev": ["vorige"] },
+    { "id": "pl",     "name": "Polski",     "next": ["następna", "dalej"], "prev": ["poprzednia", "wstecz"] },
+    { "id": "pt",     "name": "Português",  "next": ["próximo", "próxima", "seguinte"], "prev": ["anterior"] },
+    { "id": "ru",     "name": "Русский",    "next": ["далее", "следующая", "вперёд", "вперед"], "prev": ["назад", "предыдущая"] },
+    { "id": "ko",     "name": "한국어",      "next": ["다음"], "prev": ["이전"] },
+    { "id": "zh",     "name": "中文",        "next": ["下一页", "下一頁", "下页"], "prev": ["上一页", "上一頁", "上页"] }
+  ],
+  // The elements that can be clicked by the click action (links, buttons, and elements with click handlers)
+  CLICKABLE_SELECTOR = "a, area, button, input[type='button'], input[type='submit'], input[type='image'], [role='button'], [role='link'], [onclick]",
+  // The clickable elements that are interactive by themselves (the others, like divs with click handlers, can be containers)
+  INTERACTIVE_SELECTOR = "a, area, button, input",
+  // urls store important, attributes, and innerHTML links (or elements, for the click action) that were found
   urls = {
     "important":  { "relAttribute": new Map() },
     "attributes": { "equals": new Map(), "startsWith": new Map(), "includes": new Map() },
     "innerHTML":  { "equals": new Map(), "startsWith": new Map(), "includes": new Map() }
   };
 
+  // The keywords being used to find the URLs (set each time they're found)
+  let keywords = DEFAULT_KEYWORDS;
+
+  /**
+   * Builds the keywords to use: the user's keywords (or the defaults if the user hasn't edited them) followed by the
+   * keywords of the language packs that are turned on. The user's keywords come first, so they have the priority.
+   *
+   * @param custom the user's keywords {next, prev, startsWithExcludes} or null to use the defaults
+   * @param packs  the ids of the language packs that are turned on
+   * @return {*} the keywords {next, prev, startsWithExcludes}
+   * @public
+   */
+  function buildKeywords(custom, packs) {
+    const built = { "next": [], "prev": [], "startsWithExcludes": [] },
+          sources = [custom || DEFAULT_KEYWORDS].concat(KEYWORD_PACKS.filter(pack => packs && packs.includes(pack.id)));
+    for (let source of sources) {
+      for (let key of Object.keys(built)) {
+        for (let keyword of source[key] || []) {
+          if (!built[key].includes(keyword)) { built[key].push(keyword); }
+        }
+      }
+    }
+    return built;
+  }
+
+  /**
+   * Gets the default keywords.
+   *
+   * @return {*} the default keywords {next, prev, startsWithExcludes}
+   * @public
+   */
+  function getDefaultKeywords() {
+    return JSON.parse(JSON.stringify(DEFAULT_KEYWORDS));
+  }
+
+  /**
+   * Gets the built-in language packs.
+   *
+   * @return {*[]} the language packs [{id, name, next, prev, startsWithExcludes}]
+   * @public
+   */
+  function getKeywordPacks() {
+    return KEYWORD_PACKS;
+  }
+
   /**
    * Finds the next or prev URL.
    *
    * @param direction  the direction to go: next or prev
    * @param priority   the link priority to use: attributes or innerHTML
    * @param sameDomain whether to enforce the same domain policy
+   * @param keywords   (optional) the keywords to use (see buildKeywords), the defaults are used if not set
+   * @param rules      (optional) the per-site rules (see findRuleURLs)
    * @return {string} the next or prev url
    * @public
    */
-  function findNextPrevURL(direction, priority, sameDomain) {
+  function findNextPrevURL(direction, priority, sameDomain, keywords, rules) {
+    return findNextPrevURLs(document, document.location.href, direction, priority, sameDomain, keywords, rules)[0] || "";
+  }
+
+  /**
+   * Finds all the next or prev URLs in a document, ordered from the best candidate to the worst. The document is either
+   * the page's or one that was downloaded and parsed (e.g. by error skip to follow a dead page's own next link).
+   *
+   * The URLs of the elements pinned by the per-site rules that match the page come first, as they take precedence over
+   * the keywords. The same domain policy doesn't apply to them.
+   *
+   * @param doc        the document to find the URLs in
+   * @param pageURL    the document's URL (used to resolve relative links and verify if URLs are in the same domain)
+   * @param direction  the direction to go: next or prev
+   * @param priority   the link priority to use: attributes or innerHTML
+   * @param sameDomain whether to enforce the same domain policy
+   * @param keywords_  (optional) the keywords to use (see buildKeywords), the defaults are used if not set
+   * @param rules      (optional) the per-site rules (see findRuleURLs)
+   * @return {string[]} the next or prev urls (without duplicates)
+   * @public
+   */
+  function findNextPrevURLs(doc, pageURL, direction, priority, sameDomain, keywords_, rules) {
+    const found = findRuleURLs(doc, pageURL, direction, rules);
+    keywords = keywords_ || DEFAULT_KEYWORDS;
+    buildURLs(doc, pageURL, direction, sameDomain);
+    return traverseAllResults(direction, priority, found);
+  }
+
+  /**
+   * Finds all the next or prev elements to click in a document, ordered from the best candidate to the worst. Unlike
+   * findNextPrevURLs, the elements don't need an href, so buttons and elements with click handlers (e.g. JavaScript
+   * pagination) are found too. Disabled elements (e.g. a disabled Next button on the last page) are never found.
+   *
+   * The elements pinned by the per-site rules that match the page come first, as they take precedence over the keywords.
+   *
+   * @param doc       the document to find the elements in
+   * @param pageURL   the document's URL
+   * @param direction the direction to go: next or prev
+   * @param priority  the link priority to use: attributes or innerHTML
+   * @param keywords_ (optional) the keywords to use (see buildKeywords), the defaults are used if not set
+   * @param rules     (optional) the per-site rules (see findRuleURLs)
+   * @return {Element[]} the next or prev elements (without duplicates)
+   * @public
+   */
+  function findNextPrevElements(doc, pageURL, direction, priority, keywords_, rules) {
+    const found = [];
+    for (let rule of (rules || []).filter(rule => rule[direction] && matchesRule(pageURL, rule))) {
+      try {
+        for (let node of findRuleNodes(doc, rule.type, rule[direction])) {
+          const element = node.nodeType === Node.ATTRIBUTE_NODE ? node.ownerElement : node;
+          if (!found.includes(element) && !isDisabled(element)) { found.push(element); }
+        }
+      } catch (e) { // An invalid rule (e.g. a bad selector) is ignored
+        //console.log("URLI.NextPrev.findNextPrevElements() - a rule couldn't be used:" + e);
+      }
+    }
+    keywords = keywords_ || DEFAULT_KEYWORDS;
+    clearResults();
+    for (let element of doc.querySelectorAll(CLICKABLE_SELECTOR)) {
+      if (!isDisabled(element) && !isContainer(element)) {
+        parseElement(direction, element, element);
+      }
+    }
+    return traverseAllResults(direction, priority, found);
+  }
+
+  /**
+   * Checks if an element is a container of other clickable elements, like a div with a click handler around a whole
+   * pagination bar. Its text would contain the keywords of every element in it, so only the elements in it are found.
+   * Links, buttons, and inputs are never containers.
+   *
+   * @param element the element
+   * @return {boolean} true if the element is a container, false otherwise
+   * @private
+   */
+  function isContainer(element) {
+    return !element.matches(INTERACTIVE_SELECTOR) && !!element.querySelector(CLICKABLE_SELECTOR);
+  }
+
+  /**
+   * Checks if an element is disabled (including with aria-disabled, which is common for JavaScript pagination).
+   *
+   * @param element the element
+   * @return {boolean} true if the element is disabled, false otherwise
+   * @private
+   */
+  function isDisabled(element) {
+    return !!element.disabled || element.getAttribute("aria-disabled") === "true";
+  }
+
+  /**
+   * Finds the next or prev URLs of the elements pinned by the per-site rules that match the page. A rule's url is a
+   * pattern the page's URL has to contain, with * matching anything (e.g. example.com/forum/*?page=). Its next and prev
+   * are a CSS selector or an XPath (depending on its type) for the link element, or for an element inside it.
+   *
+   * @param doc       the document to find the elements in
+   * @param pageURL   the document's URL
+   * @param direction the direction to go: next or prev
+   * @param rules     the per-site rules [{url, type, next, prev}]
+   * @return {string[]} the urls (without duplicates)
+   * @private
+   */
+  function findRuleURLs(doc, pageURL, direction, rules) {
+    const found = [];
+    for (let rule of (rules || []).filter(rule => rule[direction] && matchesRule(pageURL, rule))) {
+      try {
+        for (let href of findRuleHrefs(doc, rule.type, rule[direction])) {
+          const url = new URL(href, getBaseURL(doc, pageURL)).href;
+          if (!found.includes(url)) { found.push(url); }
+        }
+      } catch (e) { // An invalid rule (e.g. a bad selector) or link is ignored
+        //console.log("URLI.NextPrev.findRuleURLs() - a rule couldn't be used:" + e);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Tests a per-site rule against a document (e.g. from the options page), without the keywords.
+   *
+   * @param doc     the document to test the rule in
+   * @param pageURL the document's URL
+   * @param rule    the rule {url, type, next, prev}
+   * @return {*} the result {matches: if the rule matches the URL, next: the next URLs, prev: the prev URLs, error: the error if the rule is invalid}
+   * @public
+   */
+  function testRule(doc, pageURL, rule) {
+    const result = { "matches": matchesRule(pageURL, rule), "next": [], "prev": [] };
+    try {
+      for (let direction of ["next", "prev"]) {
+        if (rule[direction]) {
+          result[direction] = findRuleHrefs(doc, rule.type, rule[direction]).map(href => new URL(href, getBaseURL(doc, pageURL)).href);
+        }
+      }
+    } catch (e) {
+      result.error = e.message;
+    }
+    return result;
+  }
+
+  /**
+   * Checks if a per-site rule's url pattern matches the page's URL.
+   *
+   * @param pageURL the page's URL
+   * @param rule    the rule {url, type, next, prev}
+   * @return {boolean} true if the rule matches, false otherwise
+   * @public
+   */
+  function matchesRule(pageURL, rule) {
+    const pattern = (rule.url || "").split("*").map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(pattern, "i").test(pageURL);
+  }
+
+  /**
+   * Finds the hrefs of the elements matching a CSS selector or XPath. If an element isn't a link itself, the link it's
+   * in (or the first link inside it) is used. An XPath can also select the href attribute itself.
+   *
+   * @param doc        the document to find the elements in
+   * @param type       the type of expression: selector or xpath
+   * @param expression the CSS selector or XPath
+   * @return {string[]} the hrefs (as they are in the elements, not resolved)
+   * @private
+   */
+  function findRuleHrefs(doc, type, expression) {
+    return findRuleNodes(doc, type, expression).map(function(node) {
+      if (node.nodeType === Node.ATTRIBUTE_NODE) {
+        return node.nodeValue;
+      }
+      const link = node.getAttribute && node.getAttribute("href") ? node : node.closest && (node.closest("a[href], area[href]") || node.querySelector("a[href], area[href]"));
+      return link ? link.getAttribute("href") : "";
+    }).filter(Boolean);
+  }
+
+  /**
+   * Finds the nodes matching a CSS selector or XPath.
+   *
+   * @param doc        the document to find the nodes in
+   * @param type       the type of expression: selector or xpath
+   * @param expression the CSS selector or XPath
+   * @return {Node[]} the nodes (elements, or attributes if the XPath selects them)
+   * @private
+   */
+  function findRuleNodes(doc, type, expression) {
+    if (type !== "xpath") {
+      return Array.from(doc.querySelectorAll(expression));
+    }
+    const nodes = [],
+          snapshot = doc.evaluate(expression, doc, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    for (let i = 0; i < snapshot.snapshotLength; i++) {
+      nodes.push(snapshot.snapshotItem(i));
+    }
+    return nodes;
+  }
+
+  /**
+   * Gets the document's base URL to resolve its relative links with (its base element's URL if it has one).
+   *
+   * @param doc     the document
+   * @param pageURL the document's URL
+   * @return {string} the base URL
+   * @private
+   */
+  function getBaseURL(doc, pageURL) {
+    const base = doc.querySelector("base[href]");
+    return base ? new URL(base.getAttribute("href"), pageURL).href : pageURL;
+  }
+
+  /**
+   * Traverses all the urls results by running the algorithms in their priority order.
+   *
+   * @param direction the direction to go: next or prev
+   * @param priority  the link priority to use: attributes or innerHTML
+   * @param found     the results that were already found (e.g. by the rules), which the results are added to
+   * @return {*[]} the found results (without duplicates)
+   * @private
+   */
+  function traverseAllResults(direction, priority, found) {
     const priority2 = priority === "attributes" ? "innerHTML" : "attributes",
           algorithms = [ // note: the order matters, the highest priority algorithms are first when they are iterated below
             { "priority": "important", "subpriority": "relAttribute" },
@@ -42,50 +323,67 @@ URLI.NextPrev = function () {
             { "priority": priority,    "subpriority": "includes"     },
             { "priority": priority2,   "subpriority": "includes"     }
           ];
-    buildURLs(direction, sameDomain);    
     for (let algorithm of algorithms) {
-      const url = traverseResults(algorithm.priority, algorithm.subpriority, keywords[direction]);
-      if (url) { return url; }
+      for (let result of traverseResults(algorithm.priority, algorithm.subpriority, keywords[direction])) {
+        if (!found.includes(result)) { found.push(result); }
+      }
     }
-    return "";
+    return found;
   }
 
   /**
-   * Traverses the urls results object to see if a URL was found.
+   * Traverses the urls results object to find the URLs that were found.
    * e.g. urls[attributes][equals][nextKeyword]
    *
    * @param priority    the link priority to use: attributes or innerHTML
    * @param subpriority the sub priority to use: equals, startsWith, includes
    * @param keywords    the ordered list of keywords sorted in priority
-   * @return {string} the url (if found)
+   * @return {string[]} the urls (if found) in the keywords' order
    * @private
    */
   function traverseResults(priority, subpriority, keywords) {
-    let url = "";
+    const found = [];
     for (let keyword of keywords) {
       if (urls[priority][subpriority].has(keyword)) {
-        url = urls[priority][subpriority].get(keyword);
-        //console.log("URLI.NextPrev.traverseResults() - a next/prev Link was found:" +  priority + " - " + subpriority + " - " + keyword + " - " + url);
-        break;
+        found.push(urls[priority][subpriority].get(keyword));
+        //console.log("URLI.NextPrev.traverseResults() - a next/prev Link was found:" +  priority + " - " + subpriority + " - " + keyword + " - " + urls[priority][subpriority].get(keyword));
       }
     }
-    return url;
+    return found;
   }
 
   /**
    * Builds the urls results object by parsing all link and anchor elements.
    * 
+   * @param doc        the document to parse
+   * @param pageURL    the document's URL
    * @param direction  the direction to go: next or prev
    * @param sameDomain whether to enforce the same domain policy
    * @private
    */
-  function buildURLs(direction, sameDomain) {
+  function buildURLs(doc, pageURL, direction, sameDomain) {
+    clearResults();
     // Note: The following DOM elements contain links: link, a, area, and base
-    const links = document.getElementsByTagName("link"),
-          anchors = document.links, // document.links includes all anchor and area elements
-          hostname = document.location.hostname;
-    parseElements(direction, links, hostname, sameDomain);
-    parseElements(direction, anchors, hostname, sameDomain);
+    const links = doc.getElementsByTagName("link"),
+          anchors = doc.links, // document.links includes all anchor and area elements
+          baseURL = getBaseURL(doc, pageURL),
+          hostname = new URL(pageURL).hostname;
+    parseElements(direction, links, baseURL, hostname, sameDomain);
+    parseElements(direction, anchors, baseURL, hostname, sameDomain);
+  }
+
+  /**
+   * Clears the urls results object. The results are cleared each time in case this script stays loaded (e.g. in the
+   * background).
+   *
+   * @private
+   */
+  function clearResults() {
+    for (let priority of Object.values(urls)) {
+      for (let results of Object.values(priority)) {
+        results.clear();
+      }
+    }
   }
 
   /**
@@ -94,27 +392,42 @@ URLI.NextPrev = function () {
    *
    * @param direction  the direction to go: next or prev
    * @param elements   the DOM elements to parse: links or anchors
+   * @param baseURL    the URL to resolve the elements' relative links with
    * @param hostname   the document's hostname used to verify if URLs are in the same domain
    * @param sameDomain whether to enforce the same domain policy
    * @private
    */
-  function parseElements(direction, elements, hostname, sameDomain) {
+  function parseElements(direction, elements, baseURL, hostname, sameDomain) {
     for (let element of elements) {
-      if (!element.href) {
+      if (!element.getAttribute("href")) {
         continue;
       }
+      let href;
       try { // Check if URL is in same domain if enabled, wrap in try/catch in case of exceptions with URL object
-        const url = new URL(element.href);
+        const url = new URL(element.getAttribute("href"), baseURL);
         if (sameDomain && url.hostname !== hostname) {
           continue;
         }
+        href = url.href;
       } catch (e) {
         continue;
       }
-      parseText(direction, "innerHTML", element.href, element.innerHTML.trim().toLowerCase(), "");
-      for (let attribute of element.attributes) {
-        parseText(direction, "attributes", element.href, attribute.nodeValue.trim().toLowerCase(), attribute.nodeName.toLowerCase());
-      }
+      parseElement(direction, element, href);
+    }
+  }
+
+  /**
+   * Parses an element's innerHTML and attributes for keywords.
+   *
+   * @param direction the direction to go: next or prev
+   * @param element   the DOM element to parse
+   * @param value     the value to add to the urls results if a keyword is found (the element's URL, or the element itself)
+   * @private
+   */
+  function parseElement(direction, element, value) {
+    parseText(direction, "innerHTML", value, element.innerHTML.trim().toLowerCase(), "");
+    for (let attribute of element.attributes) {
+      parseText(direction, "attributes", value, attribute.nodeValue.trim().toLowerCase(), attribute.nodeName.toLowerCase());
     }
   }
 
@@ -124,7 +437,7 @@ URLI.NextPrev = function () {
    * 
    * @param direction the direction to go: next or prev
    * @param type      the type of element text: attributes or innerHTML
-   * @param href      the URL to set this link to
+   * @param href      the URL to set this link to (or the element itself, for the click action)
    * @param text      the element's text to parse keywords from
    * @param attribute attribute's node name if it's needed
    * @private
@@ -146,6 +459,13 @@ URLI.NextPrev = function () {
 
   // Return Public Functions
   return {
-    findNextPrevURL: findNextPrevURL
+    buildKeywords: buildKeywords,
+    getDefaultKeywords: getDefaultKeywords,
+    getKeywordPacks: getKeywordPacks,
+    findNextPrevURL: findNextPrevURL,
+    findNextPrevURLs: findNextPrevURLs,
+    findNextPrevElements: findNextPrevElements,
+    matchesRule: matchesRule,
+    testRule: testRule
   };
 }();
\ No newline at end of file
@@ -56,24 +56,46 @@ URLI.Options = function () {
     DOM["#key-decrement-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
     DOM["#key-next-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
     DOM["#key-prev-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
+    DOM["#key-click-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
     DOM["#key-clear-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
     DOM["#key-auto-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
+    DOM["#key-increment1-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
+    DOM["#key-decrement1-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
+    DOM["#key-increment2-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
+    DOM["#key-decrement2-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
+    DOM["#key-increment3-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
+    DOM["#key-decrement3-input"].addEventListener("keydown", function (event) { setKey(event); writeInput(this, key); });
     DOM["#key-increment-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyIncrement": key}, function() { setKeyEnabled(); }); });
     DOM["#key-decrement-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyDecrement": key}, function() { setKeyEnabled(); }); });
     DOM["#key-next-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyNext": key}, function() { setKeyEnabled(); }); });
     DOM["#key-prev-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyPrev": key}, function() { setKeyEnabled(); }); });
+    DOM["#key-click-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyClick": key}, function() { setKeyEnabled(); }); });
     DOM["#key-clear-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyClear": key}, function() { setKeyEnabled(); }); });
     DOM["#key-auto-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyAuto": key}, function() { setKeyEnabled(); }); });
+    DOM["#key-increment1-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyIncrement1": key}, function() { setKeyEnabled(); }); });
+    DOM["#key-decrement1-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyDecrement1": key}, function() { setKeyEnabled(); }); });
+    DOM["#key-increment2-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyIncrement2": key}, function() { setKeyEnabled(); }); });
+    DOM["#key-decrement2-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyDecrement2": key}, function() { setKeyEnabled(); }); });
+    DOM["#key-increment3-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyIncrement3": key}, function() { setKeyEnabled(); }); });
+    DOM["#key-decrement3-input"].addEventListener("keyup", function () { chrome.storage.sync.set({"keyDecrement3": key}, function() { setKeyEnabled(); }); });
     DOM["#key-increment-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyIncrement": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-increment-input"], []); });
     DOM["#key-decrement-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyDecrement": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-decrement-input"], []); });
     DOM["#key-next-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyNext": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-next-input"], []); });
     DOM["#key-prev-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyPrev": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-prev-input"], []); });
+    DOM["#key-click-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyClick": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-click-input"], []); });
     DOM["#key-clear-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyClear": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-clear-input"], []); });
     DOM["#key-auto-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyAuto": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-auto-input"], []); });
+    DOM["#key-increment1-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyIncrement1": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-increment1-input"], []); });
+    DOM["#key-decrement1-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyDecrement1": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-decrement1-input"], []); });
+    DOM["#key-increment2-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyIncrement2": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-increment2-input"], []); });
+    DOM["#key-decrement2-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyDecrement2": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-decrement2-input"], []); });
+    DOM["#key-increment3-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyIncrement3": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-increment3-input"], []); });
+    DOM["#key-decrement3-clear-input"].addEventListener("click", function () { chrome.storage.sync.set({"keyDecrement3": []}, function() { setKeyEnabled(); }); writeInput(DOM["#key-decrement3-input"], []); });
     DOM["#mouse-increment-select"].addEventListener("change", function() { chrome.storage.sync.set({"mouseIncrement": +this.value}, function() { setMouseEnabled(); }); });
     DOM["#mouse-decrement-select"].addEventListener("change", function() { chrome.storage.sync.set({"mouseDecrement": +this.value}, function() { setMouseEnabled(); }); });
     DOM["#mouse-next-select"].addEventListener("change", function() { chrome.storage.sync.set({"mouseNext": +this.value}, function() { setMouseEnabled(); }); });
     DOM["#mouse-prev-select"].addEventListener("change", function() { chrome.storage.sync.set({"mousePrev": +this.value}, function() { setMouseEnabled(); }); });
+    DOM["#mouse-click-select"].addEventListener("change", function() { chrome.storage.sync.set({"mouseClick": +this.value}, function() { setMouseEnabled(); }); });
     DOM["#mouse-clear-select"].addEventListener("change", function() { chrome.storage.sync.set({"mouseClear": +this.value}, function() { setMouseEnabled(); }); });
     DOM["#mouse-auto-select"].addEventListener("change", function() { chrome.storage.sync.set({"mouseAuto": +this.value}, function() { setMouseEnabled(); }); });
     DOM["#icon-color-radio-dark"].addEventListener("change", changeIconColor);
@@ -88,26 +110,46 @@ URLI.Options = function () {
       DOM["#popup-button-size-img"].className = this.checked ? "hvr-grow" : "" });
     DOM["#popup-settings-can-overwrite-input"].addEventListener("change", function () { chrome.storage.sync.set({"popupSettingsCanOverwrite": this.checked}); });
     DOM["#popup-open-setup-input"].addEventListener("change", function () { chrome.storage.sync.set({"popupOpenSetup": this.checked}); });
-    DOM["#selection-select"].addEventListener("change", function() { DOM["#selection-custom"].className = this.value === "custom" ? "display-block fade-in" : "display-none"; chrome.storage.sync.set({"selectionPriority": this.value}); });
+    DOM["#selection-select"].addEventListener("change", function() { DOM["#selection-custom"].className = this.value === "custom" ? "display-block fade-in" : "display-none"; DOM["#selection-params"].className = this.value === "params" ? "display-block fade-in" : "display-none"; chrome.storage.sync.set({"selectionPriority": this.value}); });
+    DOM["#selection-params-input"].addEventListener("input", updateSelectionParamNames);
+    DOM["#selection-exclude-origin-input"].addEventListener("change", function() { chrome.storage.sync.set({"selectionExcludeOrigin": this.checked}); });
     DOM["#selection-custom-save-button"].addEventListener("click", function () { customSelection("save"); });
     DOM["#selection-custom-test-button"].addEventListener("click", function() { customSelection("test"); });
-    DOM["#interval-input"].addEventListener("change", function () { chrome.storage.sync.set({"interval": +this.value > 0 ? +this.value : 1}); });
+    DOM["#interval-input"].addEventListener("change", function () { chrome.storage.sync.set({"interval": /^\d+$/.test(this.value) && !Number.isSafeInteger(+this.value) ? this.value : +this.value > 0 ? +this.value : 1}); }); // Huge intervals are stored as strings to keep their precision
     DOM["#leading-zeros-pad-by-detection-input"].addEventListener("change", function() { chrome.storage.sync.set({ "leadingZerosPadByDetection": this.checked}); });
-    DOM["#base-select"].addEventListener("change", function() { DOM["#base-case"].className = +this.value > 10 ? "display-block fade-in" : "display-none"; chrome.storage.sync.set({"base": +this.value}); });
+    DOM["#base-select"].addEventListener("change", changeBase);
     DOM["#base-case-lowercase-input"].addEventListener("change", function() { chrome.storage.sync.set({"baseCase": this.value}); });
     DOM["#base-case-uppercase-input"].addEventListener("change", function() { chrome.storage.sync.set({"baseCase": this.value}); });
-    DOM["#error-skip-input"].addEventListener("change", function() { if (+this.value >= 0 && +this.value <= 100) { chrome.storage.sync.set({"errorSkip": +this.value }); } });
+    DOM["#base-date-format-input"].addEventListener("input", updateBaseDateFormat);
+    DOM["#base-date-unit-select"].addEventListener("change", function() { chrome.storage.sync.set({"baseDateUnit": this.value}); });
+    DOM["#bound-behavior-select"].addEventListener("change", function() { chrome.storage.sync.set({"boundBehavior": this.value}); });
+    DOM["#negative-enable-input"].addEventListener("change", function() { chrome.storage.sync.set({"negativeEnabled": this.checked}); });
+    DOM["#alphabet-save-button"].addEventListener("click", saveAlphabet);
+    DOM["#word-list-save-button"].addEventListener("click", saveWordList);
+    DOM["#template-save-button"].addEventListener("click", saveTemplate);
+    DOM["#error-skip-input"].addEventListener("change", function() { if (+this.value >= 0 && +this.value <= 100) { chrome.storage.sync.set({"errorSkip": +this.value }, function() { setErrorSkipPermissions(); }); } });
+    DOM["#error-skip-permissions-button"].addEventListener("click", function() { URLI.Permissions.requestPermissions("enhancedMode", function(granted) { if (granted) { populateValuesFromStorage("enhancedMode"); } }) });
     DOM["#error-codes-404-input"].addEventListener("change", updateErrorCodes);
     DOM["#error-codes-3XX-input"].addEventListener("change", updateErrorCodes);
     DOM["#error-codes-4XX-input"].addEventListener("change", updateErrorCodes);
     DOM["#error-codes-5XX-input"].addEventListener("change", updateErrorCodes);
     DOM["#error-codes-custom-enabled-input"].addEventListener("change", function() { chrome.storage.sync.set({"errorCodesCustomEnabled": this.checked}); DOM["#error-codes-custom"].className = this.checked ? "display-block fade-in" : "display-none"; });
     DOM["#error-codes-custom-input"].addEventListener("input", updateErrorCodesCustom);
+    DOM["#error-content-rule-save-button"].addEventListener("click", saveErrorContentRule);
+    DOM["#error-retry-attempts-input"].addEventListener("change", function() { if (+this.value >= 0 && +this.value <= 10) { chrome.storage.sync.set({"errorRetryAttempts": +this.value}); } });
+    DOM["#error-retry-delay-input"].addEventListener("change", function() { if (+this.value >= 1 && +this.value <= 60) { chrome.storage.sync.set({"errorRetryDelay": +this.value}); } });
+    DOM["#error-retry-timeout-input"].addEventListener("change", function() { if (+this.value >= 0 && +this.value <= 120) { chrome.storage.sync.set({"errorRetryTimeout": +this.value}); } });
+    DOM["#duplicate-action-select"].addEventListener("change", function() { chrome.storage.sync.set({"duplicateAction": this.value}, function() { setErrorSkipPermissions(); }); });
     DOM["#enhanced-mode-enable-button"].addEventListener("click", function() { URLI.Permissions.requestPermissions("enhancedMode", function(granted) { if (granted) { populateValuesFromStorage("enhancedMode"); } }) });
     DOM["#enhanced-mode-disable-button"].addEventListener("click", function() { URLI.Permissions.removePermissions("enhancedMode", function(removed) { if (removed) { populateValuesFromStorage("enhancedMode"); } }) });
     DOM["#next-prev-links-priority-select"].addEventListener("change", function () { chrome.storage.sync.set({"nextPrevLinksPriority": this.value}); });
     DOM["#next-prev-same-domain-policy-enable-input"].addEventListener("change", function() { chrome.storage.sync.set({"nextPrevSameDomainPolicy": this.checked}); });
     DOM["#next-prev-popup-buttons-input"].addEventListener("change", function() { chrome.storage.sync.set({"nextPrevPopupButtons": this.checked}); });
+    DOM["#next-prev-keywords-save-button"].addEventListener("click", saveNextPrevKeywords);
+    DOM["#next-prev-keywords-reset-button"].addEventListener("click", function() { saveValues({"nextPrevKeywords": null}, DOM["#next-prev-keywords-message-span"], chrome.i18n.getMessage("next_prev_keywords_reset_success"), function() { populateValuesFromStorage("nextPrevKeywords"); }); });
+    DOM["#next-prev-rule-save-button"].addEventListener("click", saveNextPrevRule);
+    DOM["#next-prev-rule-test-button"].addEventListener("click", testNextPrevRule);
+    DOM["#next-prev-keyword-packs"].addEventListener("change", function() { chrome.storage.sync.set({"nextPrevKeywordPacks": Array.from(this.querySelectorAll("input:checked")).map(input => input.value)}); });
     DOM["#download-enable-button"].addEventListener("click", function() { URLI.Permissions.requestPermissions("download", function(granted) { if (granted) { populateValuesFromStorage("download"); } }) });
     DOM["#download-disable-button"].addEventListener("click", function() { URLI.Permissions.removePermissions("download", function(removed) { if (removed) { populateValuesFromStorage("download"); } }) });
     DOM["#urli-input"].addEventListener("click", clickURLI);
@@ -135,6 +177,7 @@ URLI.Options = function () {
         DOM["#enhanced-mode-enable-button"].className = !items.permissionsEnhancedMode ? values === "enhancedMode" ? "display-block fade-in" : "display-block" : "display-none";
         DOM["#enhanced-mode-enable"].className = items.permissionsEnhancedMode ? values === "enhancedMode" ? "display-block fade-in" : "display-block" : "display-none";
         DOM["#enhanced-mode-disable"].className = !items.permissionsEnhancedMode ? values === "enhancedMode" ? "display-block fade-in" : "display-block" : "display-none";
+        DOM["#error-skip-permissions"].className = (items.errorSkip > 0 || items.duplicateAction !== "off") && !items.permissionsEnhancedMode ? "display-block" : "display-none";
       }
       if (values === "all" || values === "download") {
         DOM["#download-disable-button"].className = items.permissionsDownload ? values === "download" ? "display-block fade-in" : "display-block" : "display-none";
@@ -152,12 +195,20 @@ URLI.Options = function () {
         writeInput(DOM["#key-decrement-input"], items.keyDecrement);
         writeInput(DOM["#key-next-input"], items.keyNext);
         writeInput(DOM["#key-prev-input"], items.keyPrev);
+        writeInput(DOM["#key-click-input"], items.keyClick);
         writeInput(DOM["#key-clear-input"], items.keyClear);
         writeInput(DOM["#key-auto-input"], items.keyAuto);
+        writeInput(DOM["#key-increment1-input"], items.keyIncrement1);
+        writeInput(DOM["#key-decrement1-input"], items.keyDecrement1);
+        writeInput(DOM["#key-increment2-input"], items.keyIncrement2);
+        writeInput(DOM["#key-decrement2-input"], items.keyDecrement2);
+        writeInput(DOM["#key-increment3-input"], items.keyIncrement3);
+        writeInput(DOM["#key-decrement3-input"], items.keyDecrement3);
         DOM["#mouse-increment-select"].value = items.mouseIncrement;
         DOM["#mouse-decrement-select"].value = items.mouseDecrement;
         DOM["#mouse-next-select"].value = items.mouseNext;
         DOM["#mouse-prev-select"].value = items.mousePrev;
+        DOM["#mouse-click-select"].value = items.mouseClick;
         DOM["#mouse-clear-select"].value = items.mouseClear;
         DOM["#mouse-auto-select"].value = items.mouseAuto;
         DOM["#icon-color-radio-" + items.iconColor].checked = true;
@@ -170,6 +221,8 @@ URLI.Options = function () {
         DOM["#popup-settings-can-overwrite-input"].checked = items.popupSettingsCanOverwrite;
         DOM["#selection-select"].value = items.selectionPriority;
         DOM["#selection-custom"].className = items.selectionPriority === "custom" ? "display-block" : "display-none";
+        DOM["#selection-params"].className = items.selectionPriority === "params" ? "display-block" : "display-none";
+        DOM["#selection-params-input"].value = items.selectionParamNames.join(", ");
         DOM["#selection-custom-url-textarea"].value = items.selectionCustom.url;
         DOM["#selection-custom-pattern-input"].value = items.selectionCustom.pattern;
         DOM["#selection-custom-flags-input"].value = items.selectionCustom.flags;
@@ -177,22 +230,58 @@ URLI.Options = function () {
         DOM["#selection-custom-index-input"].value = items.selectionCustom.index;
         DOM["#interval-input"].value = items.interval;
         DOM["#leading-zeros-pad-by-detection-input"].checked = items.leadingZerosPadByDetection;
-        DOM["#base-select"].value = items.base;
+        DOM["#selection-exclude-origin-input"].checked = items.selectionExcludeOrigin;
         DOM["#base-case"].className = items.base > 10 ? "display-block" : "display-none";
         DOM["#base-case-lowercase-input"].checked = items.baseCase === "lowercase";
         DOM["#base-case-uppercase-input"].checked = items.baseCase === "uppercase";
+        DOM["#base-date"].className = items.base === "date" ? "display-block" : "display-none";
+        DOM["#base-date-format-input"].value = items.baseDateFormat;
+        DOM["#base-date-unit-select"].value = items.baseDateUnit;
+        DOM["#bound-behavior-select"].value = items.boundBehavior;
+        DOM["#negative-enable-input"].checked = items.negativeEnabled;
         DOM["#error-skip-input"].value = items.errorSkip;
         DOM["#error-codes-404-input"].checked = items.errorCodes.includes("404");
         DOM["#error-codes-3XX-input"].checked = items.errorCodes.includes("3XX");
         DOM["#error-codes-4XX-input"].checked = items.errorCodes.includes("4XX");
         DOM["#error-codes-5XX-input"].checked = items.errorCodes.includes("5XX");
         DOM["#error-codes-custom-enabled-input"].checked = items.errorCodesCustomEnabled;
+        DOM["#duplicate-action-select"].value = items.duplicateAction;
+        DOM["#error-retry-attempts-input"].value = items.errorRetryAttempts;
+        DOM["#error-retry-delay-input"].value = items.errorRetryDelay;
+        DOM["#error-retry-timeout-input"].value = items.errorRetryTimeout;
         DOM["#error-codes-custom"].className = items.errorCodesCustomEnabled ? "display-block" : "display-none";
         DOM["#error-codes-custom-input"].value = items.errorCodesCustom;
         DOM["#next-prev-links-priority-select"].value = items.nextPrevLinksPriority;
         DOM["#next-prev-same-domain-policy-enable-input"].checked = items.nextPrevSameDomainPolicy;
         DOM["#next-prev-popup-buttons-input"].checked = items.nextPrevPopupButtons;
       }
+      if (values === "all" || values === "alphabets") {
+        buildAlphabets(items.alphabets);
+      }
+      if (values === "all" || values === "wordLists") {
+        buildWordLists(items.wordLists);
+      }
+      if (values === "all" || values === "alphabets" || values === "wordLists") {
+        DOM["#base-select"].value = items.base === "alphabet" && items.baseAlphabet ? "alphabet:" + items.baseAlphabet.name : items.base === "wordlist" && items.baseWordList ? "wordlist:" + items.baseWordList.name : items.base;
+      }
+      if (values === "all" || values === "templates") {
+        buildTemplates(items.templates);
+      }
+      if (values === "all" || values === "errorContentRules") {
+        buildErrorContentRules(items.errorContentRules);
+      }
+      if (values === "all" || values === "nextPrevKeywords") {
+        const keywords = items.nextPrevKeywords || URLI.NextPrev.getDefaultKeywords();
+        DOM["#next-prev-keywords-next-textarea"].value = keywords.next.join("\n");
+        DOM["#next-prev-keywords-prev-textarea"].value = keywords.prev.join("\n");
+        DOM["#next-prev-keywords-excludes-textarea"].value = keywords.startsWithExcludes.join("\n");
+      }
+      if (values === "all") {
+        buildKeywordPacks(items.nextPrevKeywordPacks);
+      }
+      if (values === "all" || values === "nextPrevRules") {
+        buildNextPrevRules(items.nextPrevRules);
+      }
     });
   }
 
@@ -220,13 +309,26 @@ URLI.Options = function () {
    */
   function setKeyEnabled() {
     chrome.storage.sync.get(null, function(items) {
-      const enabled = items.keyIncrement.length !== 0 || items.keyDecrement.length !== 0 || items.keyNext.length !== 0 || items.keyPrev.length !== 0 || items.keyClear.length !== 0 || items.keyAuto.length !== 0;
+      const enabled = items.keyIncrement.length !== 0 || items.keyDecrement.length !== 0 || items.keyNext.length !== 0 || items.keyPrev.length !== 0 || items.keyClick.length !== 0 || items.keyClear.length !== 0 || items.keyAuto.length !== 0 ||
+        items.keyIncrement1.length !== 0 || items.keyDecrement1.length !== 0 || items.keyIncrement2.length !== 0 || items.keyDecrement2.length !== 0 || items.keyIncrement3.length !== 0 || items.keyDecrement3.length !== 0;
       chrome.storage.sync.set({"keyEnabled": enabled}, function() {
         DOM["#key-enable-img"].className = enabled ? "display-inline" : "display-none";
       });
     });
   }
 
+  /**
+   * Sets the visibility of the error skip permissions note. Error skip checks URLs from the background, so URLs on
+   * other sites can only be checked with Enhanced Mode's permissions (otherwise they're flashed as "ERR").
+   *
+   * @private
+   */
+  function setErrorSkipPermissions() {
+    chrome.storage.sync.get(null, function(items) {
+      DOM["#error-skip-permissions"].className = (items.errorSkip > 0 || items.duplicateAction !== "off") && !items.permissionsEnhancedMode ? "display-block fade-in" : "display-none";
+    });
+  }
+
   /**
    * Sets the enabled state of mouse button shortcuts.
    * 
@@ -234,7 +336,7 @@ URLI.Options = function () {
    */
   function setMouseEnabled() {
     chrome.storage.sync.get(null, function(items) {
-      const enabled = items.mouseIncrement !== -1 || items.mouseDecrement !== -1 || items.mouseNext !== -1 || items.mousePrev !== -1 || items.mouseClear !== -1 || items.mouseAuto !== -1;
+      const enabled = items.mouseIncrement !== -1 || items.mouseDecrement !== -1 || items.mouseNext !== -1 || items.mousePrev !== -1 || items.mouseClick !== -1 || items.mouseClear !== -1 || items.mouseAuto !== -1;
       chrome.storage.sync.set({"mouseEnabled": enabled}, function() {
         DOM["#mouse-enable-img"].className = enabled ? "display-inline" : "display-none";
       });
@@ -259,6 +361,27 @@ URLI.Options = function () {
     ];
   }
 
+  /**
+   * Saves values to storage and then shows the result in a message span: the error if they couldn't be saved (e.g. the
+   * synced storage's quota was exceeded), or else the success message.
+   *
+   * @param values   the storage values to save
+   * @param span     the message span to show the result in
+   * @param success  the success message to show ("" to clear the message span)
+   * @param callback the function to call if the values were saved
+   * @private
+   */
+  function saveValues(values, span, success, callback) {
+    chrome.storage.sync.set(values, function() {
+      if (chrome.runtime.lastError) {
+        span.textContent = chrome.i18n.getMessage("storage_save_error") + " " + chrome.runtime.lastError.message;
+        return;
+      }
+      span.textContent = success;
+      callback();
+    });
+  }
+
   /**
    * Writes the key(s) that were pressed to the text input.
    * 
@@ -282,6 +405,19 @@ URLI.Options = function () {
     input.value = text;
   }
 
+  /**
+   * This function is called as the user is typing in the base date format text input.
+   * We don't want to call chrome.storage after each key press, as it's an expensive procedure, so we set a timeout delay.
+   *
+   * @private
+   */
+  function updateBaseDateFormat() {
+    clearTimeout(timeout);
+    timeout = setTimeout(function() { chrome.storage.sync.set({
+      "baseDateFormat": DOM["#base-date-format-input"].value ? DOM["#base-date-format-input"].value : "yyyy/mm/dd"
+    })}, 1000);
+  }
+
   /**
    * Updates the error codes for error skip by examining if each checkbox is checked (on change event).
    *
@@ -310,6 +446,536 @@ URLI.Options = function () {
     })}, 1000);
   }
 
+  /**
+   * This function is called as the user is typing in the preferred parameter names text input. Like the error codes
+   * custom input, we set a timeout delay before saving.
+   *
+   * @private
+   */
+  function updateSelectionParamNames() {
+    clearTimeout(timeout);
+    timeout = setTimeout(function() { chrome.storage.sync.set({
+      "selectionParamNames": DOM["#selection-params-input"].value ? DOM["#selection-params-input"].value.replace(/\s+/g, "").split(",").filter(Boolean) : []
+    })}, 1000);
+  }
+
+  /**
+   * Changes the base and shows the base case or base date options if needed. If the base is a custom alphabet or a word
+   * list, the alphabet or word list itself is also saved so that new instances don't need to look it up.
+   *
+   * @private
+   */
+  function changeBase() {
+    const value = this.value;
+    DOM["#base-case"].className = +value > 10 ? "display-block fade-in" : "display-none";
+    DOM["#base-date"].className = value === "date" ? "display-block fade-in" : "display-none";
+    if (value.startsWith("alphabet:")) {
+      chrome.storage.sync.get(null, function(items) {
+        chrome.storage.sync.set({"base": "alphabet", "baseAlphabet": items.alphabets.find(alphabet => "alphabet:" + alphabet.name === value)});
+      });
+    } else if (value.startsWith("wordlist:")) {
+      chrome.storage.sync.get(null, function(items) {
+        chrome.storage.sync.set({"base": "wordlist", "baseWordList": items.wordLists.find(wordList => "wordlist:" + wordList.name === value)});
+      });
+    } else {
+      chrome.storage.sync.set({"base": isNaN(value) ? value : +value});
+    }
+  }
+
+  /**
+   * Builds the custom alphabets list (with a delete button for each alphabet) and the alphabet options in the base select.
+   *
+   * @param alphabets the custom alphabets array [{name, characters, counting}]
+   * @private
+   */
+  function buildAlphabets(alphabets) {
+    DOM["#alphabets-list"].innerHTML = "";
+    for (let alphabet of alphabets) {
+      const div = document.createElement("div"),
+            deleteInput = document.createElement("input");
+      div.textContent = alphabet.name + " (" + chrome.i18n.getMessage("alphabet_counting_option_" + alphabet.counting) + "): " + alphabet.characters;
+      deleteInput.type = "image";
+      deleteInput.src = "../img/font-awesome/black/times.png";
+      deleteInput.alt = "";
+      deleteInput.width = deleteInput.height = 16;
+      deleteInput.addEventListener("click", function() { deleteAlphabet(alphabet.name); });
+      div.appendChild(deleteInput);
+      DOM["#alphabets-list"].appendChild(div);
+    }
+    URLI.UI.buildAlphabetOptions(DOM["#base-select"], alphabets);
+  }
+
+  /**
+   * Validates the custom alphabet fields and then saves the alphabet. If an alphabet with the same name already exists,
+   * it is replaced (this is how an alphabet is edited).
+   *
+   * @private
+   */
+  function saveAlphabet() {
+    const name = DOM["#alphabet-name-input"].value.trim(),
+          characters = DOM["#alphabet-characters-input"].value,
+          counting = DOM["#alphabet-counting-select"].value,
+          characterArray = Array.from(characters);
+    try {
+      if (!name) {
+        throw chrome.i18n.getMessage("alphabet_name_error");
+      }
+      if (characterArray.length < 2) {
+        throw chrome.i18n.getMessage("alphabet_characters_length_error");
+      }
+      if (new Set(characterArray).size !== characterArray.length) {
+        throw chrome.i18n.getMessage("alphabet_characters_unique_error");
+      }
+    } catch (e) {
+      DOM["#alphabet-message-span"].textContent = e;
+      return;
+    }
+    chrome.storage.sync.get(null, function(items) {
+      const alphabet = { "name": name, "characters": characters, "counting": counting },
+            alphabets = items.alphabets.filter(alphabet => alphabet.name !== name).concat([alphabet]),
+            values = {"alphabets": alphabets};
+      // If the base is this alphabet, update its saved copy too
+      if (items.base === "alphabet" && items.baseAlphabet && items.baseAlphabet.name === name) {
+        values.baseAlphabet = alphabet;
+      }
+      saveValues(values, DOM["#alphabet-message-span"], chrome.i18n.getMessage("alphabet_save_success"), function() {
+        DOM["#alphabet-name-input"].value = DOM["#alphabet-characters-input"].value = "";
+        populateValuesFromStorage("alphabets");
+      });
+    });
+  }
+
+  /**
+   * Deletes the custom alphabet. If the base is this alphabet, the base is reset to the default (base 10).
+   *
+   * @param name the name of the alphabet to delete
+   * @private
+   */
+  function deleteAlphabet(name) {
+    chrome.storage.sync.get(null, function(items) {
+      const values = {"alphabets": items.alphabets.filter(alphabet => alphabet.name !== name)};
+      if (items.base === "alphabet" && items.baseAlphabet && items.baseAlphabet.name === name) {
+        values.base = 10;
+        values.baseAlphabet = null;
+      }
+      saveValues(values, DOM["#alphabet-message-span"], "", function() {
+        populateValuesFromStorage("alphabets");
+      });
+    });
+  }
+
+  /**
+   * Builds the word lists list (with a delete button for each word list) and the word list options in the base select.
+   *
+   * @param wordLists the word lists array [{name, words}]
+   * @private
+   */
+  function buildWordLists(wordLists) {
+    DOM["#word-lists-list"].innerHTML = "";
+    for (let wordList of wordLists) {
+      const div = document.createElement("div"),
+            deleteInput = document.createElement("input");
+      div.textContent = wordList.name + ": " + wordList.words.join(", ");
+      deleteInput.type = "image";
+      deleteInput.src = "../img/font-awesome/black/times.png";
+      deleteInput.alt = "";
+      deleteInput.width = deleteInput.height = 16;
+      deleteInput.addEventListener("click", function() { deleteWordList(wordList.name); });
+      div.appendChild(deleteInput);
+      DOM["#word-lists-list"].appendChild(div);
+    }
+    URLI.UI.buildWordListOptions(DOM["#base-select"], wordLists);
+  }
+
+  /**
+   * Validates the word list fields and then saves the word list. If a word list with the same name already exists, it
+   * is replaced (this is how a word list is edited).
+   *
+   * @private
+   */
+  function saveWordList() {
+    const name = DOM["#word-list-name-input"].value.trim(),
+          // .filter(Boolean) filters against empty "" values in case user enters an extra comma, for example: "small,medium,"
+          words = DOM["#word-list-words-input"].value.split(",").map(word => word.trim()).filter(Boolean),
+          lowerCaseWords = words.map(word => word.toLowerCase());
+    try {
+      if (!name) {
+        throw chrome.i18n.getMessage("word_list_name_error");
+      }
+      if (words.length < 2) {
+        throw chrome.i18n.getMessage("word_list_words_length_error");
+      }
+      if (new Set(lowerCaseWords).size !== lowerCaseWords.length) {
+        throw chrome.i18n.getMessage("word_list_words_unique_error");
+      }
+    } catch (e) {
+      DOM["#word-list-message-span"].textContent = e;
+      return;
+    }
+    chrome.storage.sync.get(null, function(items) {
+      const wordList = { "name": name, "words": words },
+            wordLists = items.wordLists.filter(wordList => wordList.name !== name).concat([wordList]),
+            values = {"wordLists": wordLists};
+      // If the base is this word list, update its saved copy too
+      if (items.base === "wordlist" && items.baseWordList && items.baseWordList.name === name) {
+        values.baseWordList = wordList;
+      }
+      saveValues(values, DOM["#word-list-message-span"], chrome.i18n.getMessage("word_list_save_success"), function() {
+        DOM["#word-list-name-input"].value = DOM["#word-list-words-input"].value = "";
+        populateValuesFromStorage("wordLists");
+      });
+    });
+  }
+
+  /**
+   * Deletes the word list. If the base is this word list, the base is reset to the default (base 10).
+   *
+   * @param name the name of the word list to delete
+   * @private
+   */
+  function deleteWordList(name) {
+    chrome.storage.sync.get(null, function(items) {
+      const values = {"wordLists": items.wordLists.filter(wordList => wordList.name !== name)};
+      if (items.base === "wordlist" && items.baseWordList && items.baseWordList.name === name) {
+        values.base = 10;
+        values.baseWordList = null;
+      }
+      saveValues(values, DOM["#word-list-message-span"], "", function() {
+        populateValuesFromStorage("wordLists");
+      });
+    });
+  }
+
+  /**
+   * Builds the error content rules list (with a delete button for each rule).
+   *
+   * @param errorContentRules the error content rules array [{site, type, value}]
+   * @private
+   */
+  function buildErrorContentRules(errorContentRules) {
+    DOM["#error-content-rules-list"].innerHTML = "";
+    errorContentRules.forEach(function(rule, index) {
+      const div = document.createElement("div"),
+            deleteInput = document.createElement("input");
+      div.textContent = (rule.site || chrome.i18n.getMessage("error_content_rule_all_sites")) + ": " + chrome.i18n.getMessage("error_content_rule_type_option_" + rule.type) + " " + rule.value;
+      deleteInput.type = "image";
+      deleteInput.src = "../img/font-awesome/black/times.png";
+      deleteInput.alt = "";
+      deleteInput.width = deleteInput.height = 16;
+      deleteInput.addEventListener("click", function() { deleteErrorContentRule(index); });
+      div.appendChild(deleteInput);
+      DOM["#error-content-rules-list"].appendChild(div);
+    });
+  }
+
+  /**
+   * Validates the error content rule fields and then saves the rule.
+   *
+   * @private
+   */
+  function saveErrorContentRule() {
+    const site = DOM["#error-content-rule-site-input"].value.trim().toLowerCase(),
+          type = DOM["#error-content-rule-type-select"].value,
+          value = DOM["#error-content-rule-value-input"].value.trim();
+    try {
+      if (!value) {
+        throw chrome.i18n.getMessage("error_content_rule_value_error");
+      }
+      if (type === "regex") {
+        try {
+          new RegExp(value);
+        } catch (e) {
+          throw chrome.i18n.getMessage("error_content_rule_regex_error");
+        }
+      }
+      if (type === "selector" || type === "noselector") {
+        try {
+          document.createDocumentFragment().querySelector(value);
+        } catch (e) {
+          throw chrome.i18n.getMessage("error_content_rule_selector_error");
+        }
+      }
+      if (type === "length" && !/^\d+$/.test(value)) {
+        throw chrome.i18n.getMessage("error_content_rule_length_error");
+      }
+    } catch (e) {
+      DOM["#error-content-rule-message-span"].textContent = e;
+      return;
+    }
+    chrome.storage.sync.get(null, function(items) {
+      const errorContentRules = items.errorContentRules.concat([{ "site": site, "type": type, "value": value }]);
+      saveValues({"errorContentRules": errorContentRules}, DOM["#error-content-rule-message-span"], chrome.i18n.getMessage("error_content_rule_save_success"), function() {
+        DOM["#error-content-rule-site-input"].value = DOM["#error-content-rule-value-input"].value = "";
+        populateValuesFromStorage("errorContentRules");
+      });
+    });
+  }
+
+  /**
+   * Deletes the error content rule.
+   *
+   * @param index the index of the rule to delete
+   * @private
+   */
+  function deleteErrorContentRule(index) {
+    chrome.storage.sync.get(null, function(items) {
+      saveValues({"errorContentRules": items.errorContentRules.filter((rule, i) => i !== index)}, DOM["#error-content-rule-message-span"], "", function() {
+        populateValuesFromStorage("errorContentRules");
+      });
+    });
+  }
+
+  /**
+   * Builds the next prev language pack checkboxes.
+   *
+   * @param packs the ids of the language packs that are turned on
+   * @private
+   */
+  function buildKeywordPacks(packs) {
+    DOM["#next-prev-keyword-packs"].innerHTML = "";
+    for (let pack of URLI.NextPrev.getKeywordPacks()) {
+      const label = document.createElement("label"),
+            input = document.createElement("input"),
+            span = document.createElement("span");
+      input.type = "checkbox";
+      input.value = pack.id;
+      input.checked = packs.includes(pack.id);
+      span.textContent = pack.name;
+      label.title = pack.next.concat(pack.prev).join(" ");
+      label.appendChild(input);
+      label.appendChild(span);
+      DOM["#next-prev-keyword-packs"].appendChild(label);
+    }
+  }
+
+  /**
+   * Validates the next prev keywords (one per line) and then saves them. Keywords are saved in lowercase because the
+   * links' text is compared in lowercase.
+   *
+   * @private
+   */
+  function saveNextPrevKeywords() {
+    const split = value => value.split(/\r?\n/).map(keyword => keyword.trim().toLowerCase()).filter((keyword, index, keywords) => keyword && keywords.indexOf(keyword) === index),
+          keywords = {
+            "next": split(DOM["#next-prev-keywords-next-textarea"].value),
+            "prev": split(DOM["#next-prev-keywords-prev-textarea"].value),
+            "startsWithExcludes": split(DOM["#next-prev-keywords-excludes-textarea"].value)
+          };
+    if (keywords.next.length === 0 || keywords.prev.length === 0) {
+      DOM["#next-prev-keywords-message-span"].textContent = chrome.i18n.getMessage("next_prev_keywords_empty_error");
+      return;
+    }
+    const both = keywords.next.filter(keyword => keywords.prev.includes(keyword));
+    if (both.length > 0) {
+      DOM["#next-prev-keywords-message-span"].textContent = chrome.i18n.getMessage("next_prev_keywords_both_error") + " " + both.join(", ");
+      return;
+    }
+    saveValues({"nextPrevKeywords": keywords}, DOM["#next-prev-keywords-message-span"], chrome.i18n.getMessage("next_prev_keywords_save_success"), function() {
+      populateValuesFromStorage("nextPrevKeywords");
+    });
+  }
+
+  /**
+   * Builds the next prev rules list (with a delete button for each rule).
+   *
+   * @param nextPrevRules the next prev rules array [{url, type, next, prev}]
+   * @private
+   */
+  function buildNextPrevRules(nextPrevRules) {
+    DOM["#next-prev-rules-list"].innerHTML = "";
+    nextPrevRules.forEach(function(rule, index) {
+      const div = document.createElement("div"),
+            deleteInput = document.createElement("input");
+      div.textContent = rule.url + ": " + chrome.i18n.getMessage("next_prev_rule_type_option_" + rule.type) + " " + chrome.i18n.getMessage("next_prev_rule_next") + " " + (rule.next || "-") + " " + chrome.i18n.getMessage("next_prev_rule_prev") + " " + (rule.prev || "-");
+      deleteInput.type = "image";
+      deleteInput.src = "../img/font-awesome/black/times.png";
+      deleteInput.alt = "";
+      deleteInput.width = deleteInput.height = 16;
+      deleteInput.addEventListener("click", function() { deleteNextPrevRule(index); });
+      div.appendChild(deleteInput);
+      DOM["#next-prev-rules-list"].appendChild(div);
+    });
+  }
+
+  /**
+   * Reads and validates the next prev rule fields.
+   *
+   * @return {*} the rule {url, type, next, prev}
+   * @throws {string} the error message if the rule is invalid
+   * @private
+   */
+  function readNextPrevRule() {
+    const rule = {
+      "url": DOM["#next-prev-rule-url-input"].value.trim(),
+      "type": DOM["#next-prev-rule-type-select"].value,
+      "next": DOM["#next-prev-rule-next-input"].value.trim(),
+      "prev": DOM["#next-prev-rule-prev-input"].value.trim()
+    };
+    if (!rule.url) {
+      throw chrome.i18n.getMessage("next_prev_rule_url_error");
+    }
+    if (!rule.next && !rule.prev) {
+      throw chrome.i18n.getMessage("next_prev_rule_empty_error");
+    }
+    for (let expression of [rule.next, rule.prev].filter(Boolean)) {
+      try {
+        if (rule.type === "xpath") {
+          document.evaluate(expression, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        } else {
+          document.createDocumentFragment().querySelector(expression);
+        }
+      } catch (e) {
+        throw chrome.i18n.getMessage("next_prev_rule_" + rule.type + "_error") + " " + expression;
+      }
+    }
+    return rule;
+  }
+
+  /**
+   * Validates the next prev rule fields and then saves the rule. A rule with the same url and type replaces it.
+   *
+   * @private
+   */
+  function saveNextPrevRule() {
+    let rule;
+    try {
+      rule = readNextPrevRule();
+    } catch (e) {
+      DOM["#next-prev-rule-message"].textContent = e;
+      return;
+    }
+    chrome.storage.sync.get(null, function(items) {
+      const nextPrevRules = items.nextPrevRules.filter(other => other.url !== rule.url || other.type !== rule.type).concat([rule]);
+      saveValues({"nextPrevRules": nextPrevRules}, DOM["#next-prev-rule-message"], chrome.i18n.getMessage("next_prev_rule_save_success"), function() {
+        DOM["#next-prev-rule-url-input"].value = DOM["#next-prev-rule-next-input"].value = DOM["#next-prev-rule-prev-input"].value = "";
+        populateValuesFromStorage("nextPrevRules");
+      });
+    });
+  }
+
+  /**
+   * Deletes the next prev rule.
+   *
+   * @param index the index of the rule to delete
+   * @private
+   */
+  function deleteNextPrevRule(index) {
+    chrome.storage.sync.get(null, function(items) {
+      saveValues({"nextPrevRules": items.nextPrevRules.filter((rule, i) => i !== index)}, DOM["#next-prev-rule-message"], "", function() {
+        populateValuesFromStorage("nextPrevRules");
+      });
+    });
+  }
+
+  /**
+   * Tests the next prev rule fields live against an open tab whose URL matches the rule (the active one in its window
+   * if there's more than one) and shows the URLs the rule finds. Reading the tabs' URLs and executing the script in them
+   * requires Enhanced Mode.
+   *
+   * @private
+   */
+  function testNextPrevRule() {
+    let rule;
+    try {
+      rule = readNextPrevRule();
+    } catch (e) {
+      DOM["#next-prev-rule-message"].textContent = e;
+      return;
+    }
+    chrome.tabs.query({}, function(tabs) {
+      const matching = tabs.filter(tab => tab.url && /^https?:/.test(tab.url) && URLI.NextPrev.matchesRule(tab.url, rule)),
+            tab = matching.find(tab => tab.active) || matching[0];
+      if (!tab) {
+        DOM["#next-prev-rule-message"].textContent = chrome.i18n.getMessage("next_prev_rule_test_notab_error");
+        return;
+      }
+      chrome.tabs.executeScript(tab.id, {file: "js/next-prev.js", runAt: "document_end"}, function() {
+        if (chrome.runtime.lastError) {
+          DOM["#next-prev-rule-message"].textContent = chrome.i18n.getMessage("next_prev_rule_test_script_error") + " " + chrome.runtime.lastError.message;
+          return;
+        }
+        const code = "URLI.NextPrev.testRule(document, document.location.href, " + JSON.stringify(rule) + ");";
+        chrome.tabs.executeScript(tab.id, {code: code, runAt: "document_end"}, function(results) {
+          const result = results && results[0];
+          if (chrome.runtime.lastError || !result) {
+            DOM["#next-prev-rule-message"].textContent = chrome.i18n.getMessage("next_prev_rule_test_script_error") + " " + (chrome.runtime.lastError ? chrome.runtime.lastError.message : "");
+            return;
+          }
+          const none = chrome.i18n.getMessage("next_prev_rule_test_none");
+          DOM["#next-prev-rule-message"].textContent = result.error ? chrome.i18n.getMessage("next_prev_rule_" + rule.type + "_error") + " " + result.error :
+            chrome.i18n.getMessage("next_prev_rule_test_tab") + " " + tab.url + "\n" +
+            chrome.i18n.getMessage("next_prev_rule_next") + " " + (rule.next ? result.next[0] || none : "-") + (result.next.length > 1 ? " (+" + (result.next.length - 1) + ")" : "") + "\n" +
+            chrome.i18n.getMessage("next_prev_rule_prev") + " " + (rule.prev ? result.prev[0] || none : "-") + (result.prev.length > 1 ? " (+" + (result.prev.length - 1) + ")" : "");
+        });
+      });
+    });
+  }
+
+  /**
+   * Builds the saved templates list (with a delete button for each template).
+   *
+   * @param templates the saved templates array [{name, template}]
+   * @private
+   */
+  function buildTemplates(templates) {
+    DOM["#templates-list"].innerHTML = "";
+    for (let template of templates) {
+      const div = document.createElement("div"),
+            deleteInput = document.createElement("input");
+      div.textContent = template.name + ": " + template.template;
+      deleteInput.type = "image";
+      deleteInput.src = "../img/font-awesome/black/times.png";
+      deleteInput.alt = "";
+      deleteInput.width = deleteInput.height = 16;
+      deleteInput.addEventListener("click", function() { deleteTemplate(template.name); });
+      div.appendChild(deleteInput);
+      DOM["#templates-list"].appendChild(div);
+    }
+  }
+
+  /**
+   * Validates the template fields and then saves the template. If a template with the same name already exists, it is
+   * replaced (this is how a template is edited).
+   *
+   * @private
+   */
+  function saveTemplate() {
+    const name = DOM["#template-name-input"].value.trim(),
+          template = DOM["#template-input"].value.trim();
+    try {
+      if (!name) {
+        throw chrome.i18n.getMessage("template_name_error");
+      }
+      if (!URLI.IncrementDecrement.parseTemplate(template)) {
+        throw chrome.i18n.getMessage("template_invalid_error");
+      }
+    } catch (e) {
+      DOM["#template-message-span"].textContent = e;
+      return;
+    }
+    chrome.storage.sync.get(null, function(items) {
+      const templates = items.templates.filter(template => template.name !== name).concat([{ "name": name, "template": template }]);
+      saveValues({"templates": templates}, DOM["#template-message-span"], chrome.i18n.getMessage("template_save_success"), function() {
+        DOM["#template-name-input"].value = DOM["#template-input"].value = "";
+        populateValuesFromStorage("templates");
+      });
+    });
+  }
+
+  /**
+   * Deletes the saved template.
+   *
+   * @param name the name of the template to delete
+   * @private
+   */
+  function deleteTemplate(name) {
+    chrome.storage.sync.get(null, function(items) {
+      saveValues({"templates": items.templates.filter(template => template.name !== name)}, DOM["#template-message-span"], "", function() {
+        populateValuesFromStorage("templates");
+      });
+    });
+  }
+
   /**
    * Validates the custom selection regular expression fields and then performs the desired action.
    * 
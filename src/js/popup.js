@@ -27,6 +27,7 @@ URLI.Popup = function () {
   let instance = {}, // Tab instance cache
       items_ = {}, // Storage items cache
       downloadPreviewAlls = { "pageURL": [], "allURLs": [], "allExtensions": [], "allTags": [] }, // Download Preview All URLs Cache
+      multi = [], // Multi parts cache for setup (before they are saved to the instance)
       timeout = undefined; // Reusable global timeout for input changes to fire after the user stops typing
 
   /**
@@ -54,14 +55,27 @@ URLI.Popup = function () {
     DOM["#clear-input"].addEventListener("click", clickActionButton);
     DOM["#next-input"].addEventListener("click", clickActionButton);
     DOM["#prev-input"].addEventListener("click", clickActionButton);
+    DOM["#click-input"].addEventListener("click", clickActionButton);
     DOM["#download-input"].addEventListener("click", clickActionButton);
     DOM["#auto-input"].addEventListener("click", clickActionButton);
     DOM["#setup-input"].addEventListener("click", toggleView);
+    DOM["#last-page-button"].addEventListener("click", clickLastPageButton);
     DOM["#accept-button"].addEventListener("click", setup);
     DOM["#cancel-button"].addEventListener("click", toggleView);
     DOM["#options-button"].addEventListener("click", function() { chrome.runtime.openOptionsPage(); });
     DOM["#url-textarea"].addEventListener("select", selectURL); // "select" event is relatively new and the best event for this
-    DOM["#base-select"].addEventListener("change", function() { DOM["#base-case"].className = +this.value > 10 ? "display-block fade-in" : "display-none"; });
+    DOM["#url-textarea"].addEventListener("change", function() { buildEncodedParamOptions(DOM["#encoded-param-select"].value); updateEncoded(); });
+    DOM["#encoded-param-select"].addEventListener("change", changeEncoded);
+    DOM["#encoded-encoding-select"].addEventListener("change", changeEncoded);
+    DOM["#encoded-textarea"].addEventListener("select", selectURL);
+    DOM["#multi-add-button"].addEventListener("click", addMultiPart);
+    DOM["#multi-reset-button"].addEventListener("click", function() { multi = []; updateMultiParts(); });
+    DOM["#list-import-button"].addEventListener("click", function() { DOM["#list-file-input"].click(); });
+    DOM["#list-file-input"].addEventListener("change", function() { importList(this.files[0]); this.value = ""; });
+    DOM["#template-select"].addEventListener("change", function() { if (this.value) { DOM["#template-input"].value = this.value; DOM["#template-enable-input"].checked = true; } });
+    DOM["#list-textarea"].addEventListener("dragover", function(event) { event.preventDefault(); });
+    DOM["#list-textarea"].addEventListener("drop", function(event) { if (event.dataTransfer.files.length > 0) { event.preventDefault(); importList(event.dataTransfer.files[0]); } });
+    DOM["#base-select"].addEventListener("change", function() { DOM["#base-case"].className = +this.value > 10 ? "display-block fade-in" : "display-none"; DOM["#base-date"].className = this.value === "date" ? "display-block fade-in" : "display-none"; });
     DOM["#auto-toggle-input"].addEventListener("change", function() { DOM["#auto"].className = this.checked ? "display-block fade-in" : "display-none"; });
     DOM["#auto-times-input"].addEventListener("change", updateAutoETA);
     DOM["#auto-seconds-input"].addEventListener("change", updateAutoETA);
@@ -87,8 +101,11 @@ URLI.Popup = function () {
           if (!instance) {
             instance = backgroundPage.URLI.Background.buildInstance(tabs[0], items);
           }
+          URLI.UI.buildAlphabetOptions(DOM["#base-select"], items_.alphabets);
+          URLI.UI.buildWordListOptions(DOM["#base-select"], items_.wordLists);
+          buildTemplateOptions(items_.templates);
           updateControls();
-          DOM["#increment-input"].style = DOM["#decrement-input"].style = DOM["#clear-input"].style = DOM["#setup-input"].style = DOM["#next-input"].style = DOM["#prev-input"].style = DOM["#auto-input"].style = "width:" + items_.popupButtonSize + "px; height:" + items_.popupButtonSize + "px;";
+          DOM["#increment-input"].style = DOM["#decrement-input"].style = DOM["#clear-input"].style = DOM["#setup-input"].style = DOM["#next-input"].style = DOM["#prev-input"].style = DOM["#click-input"].style = DOM["#auto-input"].style = "width:" + items_.popupButtonSize + "px; height:" + items_.popupButtonSize + "px;";
           const downloadPaddingAdjustment = items_.popupButtonSize <= 24 ? 4 : items_.popupButtonSize <= 44 ? 6 : 8; // cloud-download.png is an irregular shape and needs adjustment
           DOM["#download-input"].style = "width:" + (items_.popupButtonSize + downloadPaddingAdjustment) + "px; height:" + (items_.popupButtonSize + downloadPaddingAdjustment) + "px;";// margin-bottom:-" + downloadPaddingAdjustment + "px;";
           DOM["#setup-input"].className = items_.popupAnimationsEnabled ? "hvr-grow" : "";
@@ -120,6 +137,12 @@ URLI.Popup = function () {
           updateSetup();
         }
         break;
+      case "updatePopupLastPage":
+        if (request.tabId === instance.tabId) {
+          DOM["#last-page-button"].disabled = !!request.progress;
+          DOM["#last-page-progress"].textContent = request.progress ? chrome.i18n.getMessage("last_page_progress_label") + " +" + request.progress.offset + (request.progress.low > 0 ? " (" + chrome.i18n.getMessage("last_page_progress_valid_label") + " +" + request.progress.low + ")" : "") : "";
+        }
+        break;
       case "updatePopupDownloadPreview":
         if (request.instance && request.instance.tabId === instance.tabId) {
           updateDownloadPreviewCompletely();
@@ -141,11 +164,7 @@ URLI.Popup = function () {
       case "setup-input": // Hide controls, show setup
         DOM["#controls"].className = "display-none";
         DOM["#setup"].className = "display-block fade-in";
-        DOM["#url-textarea"].value = instance.url;
-        DOM["#url-textarea"].setSelectionRange(instance.selectionStart, instance.selectionStart + instance.selection.length);
-        DOM["#url-textarea"].focus();
-        DOM["#selection-input"].value = instance.selection;
-        DOM["#selection-start-input"].value = instance.selectionStart;
+        updateSelection();
         break;
       case "accept-button": // Hide setup, show controls
       case "cancel-button":
@@ -166,7 +185,7 @@ URLI.Popup = function () {
   function clickActionButton() {
     const action = this.dataset.action;
     if (((action === "increment" || action === "decrement") && instance.enabled) ||
-        (action === "next" || action === "prev") ||
+        (action === "next" || action === "prev" || action === "click") ||
         (action === "clear" && (instance.enabled || instance.autoEnabled || instance.downloadEnabled)) ||
         (action === "auto" && instance.autoEnabled) ||
         (action === "download" && instance.downloadEnabled)) {
@@ -180,6 +199,19 @@ URLI.Popup = function () {
     }
   }
 
+  /**
+   * Finds the last page (the progress is sent back to the popup while the background probes the URLs).
+   *
+   * @private
+   */
+  function clickLastPageButton() {
+    if (URLI.ErrorSkip.canFindLastPage(instance)) {
+      chrome.runtime.getBackgroundPage(function(backgroundPage) {
+        backgroundPage.URLI.Action.performAction(instance, "last", "popupClickActionButton");
+      });
+    }
+  }
+
   /**
    * Updates the control images based on whether the instance is enabled.
    * 
@@ -187,13 +219,23 @@ URLI.Popup = function () {
    */
   function updateControls() {
     DOM["#increment-input"].className = 
-    DOM["#decrement-input"].className = instance.enabled ? items_.popupAnimationsEnabled ? "hvr-grow hvr-push-click"  : "" : instance.autoEnabled && (instance.autoAction === "next" || instance.autoAction === "prev") ? "display-none" : "disabled";
+    DOM["#decrement-input"].className = instance.enabled ? items_.popupAnimationsEnabled ? "hvr-grow hvr-push-click"  : "" : instance.autoEnabled && (instance.autoAction === "next" || instance.autoAction === "prev" || instance.autoAction === "click") ? "display-none" : "disabled";
     DOM["#next-input"].className =
-    DOM["#prev-input"].className = (items_.permissionsEnhancedMode && items_.nextPrevPopupButtons) || (instance.autoEnabled && (instance.autoAction === "next" || instance.autoAction === "prev")) ? items_.popupAnimationsEnabled ? "hvr-grow hvr-push-click" : "" : "display-none";
+    DOM["#prev-input"].className = (items_.permissionsEnhancedMode && items_.nextPrevPopupButtons) || (instance.enabled && instance.listEnabled) || (instance.autoEnabled && (instance.autoAction === "next" || instance.autoAction === "prev")) ? items_.popupAnimationsEnabled ? "hvr-grow hvr-push-click" : "" : "display-none";
+    DOM["#click-input"].className = (items_.permissionsEnhancedMode && items_.nextPrevPopupButtons) || (instance.autoEnabled && instance.autoAction === "click") ? items_.popupAnimationsEnabled ? "hvr-grow hvr-push-click" : "" : "display-none";
     DOM["#clear-input"].className = instance.enabled || instance.autoEnabled || instance.downloadEnabled ? items_.popupAnimationsEnabled ? "hvr-grow hvr-push-click" : "" : "disabled";
     DOM["#auto-input"].className = instance.autoEnabled ? items_.popupAnimationsEnabled ? "hvr-grow hvr-push-click" : "" : "display-none";
     DOM["#auto-input"].src = instance.autoPaused ? "../img/font-awesome/orange/play-circle.png" : "../img/font-awesome/orange/pause-circle.png";
     DOM["#download-input"].className = items_.permissionsDownload && instance.downloadEnabled ? items_.popupAnimationsEnabled ? "hvr-grow hvr-push-click" : "" : "display-none";
+    DOM["#shuffle-remaining"].className = instance.enabled && instance.shuffleEnabled ? "display-block" : "display-none";
+    DOM["#shuffle-remaining"].textContent = instance.enabled && instance.shuffleEnabled ? chrome.i18n.getMessage("shuffle_remaining_label") + " " + URLI.IncrementDecrement.getShuffleRemaining(instance) : "";
+    DOM["#list-position"].className = instance.enabled && instance.listEnabled ? "display-block" : "display-none";
+    DOM["#list-position"].textContent = instance.enabled && instance.listEnabled ? chrome.i18n.getMessage("list_position_label") + " " + (instance.listPosition + 1) + " / " + instance.list.length : "";
+    DOM["#last-page"].className = URLI.ErrorSkip.canFindLastPage(instance) ? "display-block" : "display-none";
+    // The URLs skipped by the last action, with why they were skipped shown when hovering over the count
+    DOM["#error-skip-report"].className = instance.skipped && instance.skipped.length > 0 ? "display-block" : "display-none";
+    DOM["#error-skip-report"].textContent = instance.skipped && instance.skipped.length > 0 ? chrome.i18n.getMessage("error_skip_report_label") + " " + instance.skipped.length : "";
+    DOM["#error-skip-report"].title = instance.skipped ? instance.skipped.map(skipped => skipped.errorCode + " " + skipped.url + (skipped.rule ? " (" + chrome.i18n.getMessage("error_content_rule_type_option_" + skipped.rule.type) + " " + skipped.rule.value + ")" : "")).join("\n") : "";
   }
 
   /**
@@ -203,18 +245,35 @@ URLI.Popup = function () {
    */
   function updateSetup() {
     // Increment Decrement Setup:
-    DOM["#url-textarea"].value = instance.url;
-    DOM["#url-textarea"].setSelectionRange(instance.selectionStart, instance.selectionStart + instance.selection.length);
-    DOM["#url-textarea"].focus();
-    DOM["#selection-input"].value = instance.selection;
-    DOM["#selection-start-input"].value = instance.selectionStart;
+    updateSelection();
     DOM["#interval-input"].value = instance.interval;
     DOM["#error-skip-input"].value = instance.errorSkip;
-    DOM["#base-select"].value = instance.base;
+    DOM["#base-select"].value = instance.base === "alphabet" && instance.baseAlphabet ? "alphabet:" + instance.baseAlphabet.name : instance.base === "wordlist" && instance.baseWordList ? "wordlist:" + instance.baseWordList.name : instance.base;
     DOM["#base-case"].className = instance.base > 10 ? "display-block" : "display-none";
     DOM["#base-case-lowercase-input"].checked = instance.baseCase === "lowercase";
     DOM["#base-case-uppercase-input"].checked = instance.baseCase === "uppercase";
+    DOM["#base-date"].className = instance.base === "date" ? "display-block" : "display-none";
+    DOM["#base-date-format-input"].value = instance.baseDateFormat;
+    DOM["#base-date-unit-select"].value = instance.baseDateUnit;
     DOM["#leading-zeros-input"].checked = instance.leadingZeros;
+    DOM["#selection-param-input"].checked = !!instance.selectionParam;
+    DOM["#bound-min-input"].value = instance.boundMin;
+    DOM["#bound-max-input"].value = instance.boundMax;
+    DOM["#bound-behavior-select"].value = instance.boundBehavior;
+    DOM["#negative-enable-input"].checked = instance.negativeEnabled;
+    DOM["#shuffle-start-input"].value = instance.shuffleStart;
+    DOM["#shuffle-end-input"].value = instance.shuffleEnd;
+    DOM["#shuffle-enable-input"].checked = instance.shuffleEnabled;
+    DOM["#derived-textarea"].value = instance.derived.map(rule => rule.param + " = " + rule.expression).join("\n");
+    DOM["#list-textarea"].value = instance.list.join("\n");
+    DOM["#list-enable-input"].checked = instance.listEnabled;
+    DOM["#template-input"].value = instance.template;
+    DOM["#template-start-input"].value = instance.templateStart;
+    DOM["#template-end-input"].value = instance.templateEnd;
+    DOM["#template-enable-input"].checked = instance.templateEnabled;
+    DOM["#navigation-select"].value = instance.navigation;
+    multi = instance.multiEnabled && instance.multi ? instance.multi.map(part => Object.assign({}, part)) : [];
+    updateMultiParts();
     // Auto Setup:
     DOM["#auto-toggle-input"].checked = instance.autoEnabled;
     DOM["#auto"].className = instance.autoEnabled ? "display-block" : "display-none";
@@ -253,16 +312,47 @@ URLI.Popup = function () {
   }
 
   /**
-   * Handle the URL selection on select events. Saves the selectionStart
+   * Updates the URL textarea, selection inputs, and encoded parameter to the instance's. If the selection is in an
+   * encoded parameter, the selection is highlighted in the decoded value and the whole parameter is highlighted in the
+   * URL.
+   *
+   * @private
+   */
+  function updateSelection() {
+    const encodedParam = instance.selectionParam && instance.selectionParam.encoding ? instance.selectionParam : null,
+          decoded = encodedParam ? URLI.IncrementDecrement.decodeParam(instance.url, encodedParam) : undefined;
+    DOM["#url-textarea"].value = instance.url;
+    if (decoded) {
+      DOM["#url-textarea"].setSelectionRange(decoded.start, decoded.start + decoded.value.length);
+    } else {
+      DOM["#url-textarea"].setSelectionRange(instance.selectionStart, instance.selectionStart + instance.selection.length);
+    }
+    DOM["#url-textarea"].focus();
+    DOM["#selection-input"].value = instance.selection;
+    DOM["#selection-start-input"].value = instance.selectionStart;
+    buildEncodedParamOptions(encodedParam ? JSON.stringify(encodedParam.type === "path" ? {"type": "path", "index": encodedParam.index} : {"type": encodedParam.type, "name": encodedParam.name}) : "");
+    DOM["#encoded-encoding-select"].value = encodedParam ? encodedParam.encoding : "base64";
+    updateEncoded();
+    if (decoded) {
+      DOM["#encoded-textarea"].setSelectionRange(instance.selectionStart, instance.selectionStart + instance.selection.length);
+    }
+  }
+
+  /**
+   * Handle the URL selection on select events (in the URL or in the decoded parameter). Saves the selectionStart
    * to a hidden input and updates the selection input to the selected text and
    * checks the leading zeros checkbox based on leading zeros present.
    * 
    * @private
    */
   function selectURL() {
+    // When a parameter is being decoded, the selection is only made in its decoded value
+    if (this === DOM["#url-textarea"] && DOM["#encoded-param-select"].value) {
+      return;
+    }
     DOM["#selection-input"].value = window.getSelection().toString();
-    DOM["#selection-start-input"].value = DOM["#url-textarea"].selectionStart;
-    if (items_.leadingZerosPadByDetection) {
+    DOM["#selection-start-input"].value = this.selectionStart;
+    if (items_.leadingZerosPadByDetection && (!isNaN(DOM["#base-select"].value) || DOM["#base-select"].value === "decimal")) {
       DOM["#leading-zeros-input"].checked = DOM["#selection-input"].value.charAt(0) === '0' && DOM["#selection-input"].value.length > 1;
     }
   }
@@ -548,6 +638,284 @@ URLI.Popup = function () {
     }
   }
 
+  /**
+   * Validates a selection and its interval. Used by setup for the single selection and for each of the multi parts.
+   *
+   * @param url            the URL the selection is in
+   * @param selection      the selected part of the URL
+   * @param selectionStart the starting position of the selection in the URL
+   * @param interval       the interval to increment or decrement by
+   * @param base           the base of the selection (e.g. 10, decimal, roman, or date)
+   * @param baseDateFormat the date format (only used if base is date)
+   * @param negative       whether negative numbers are allowed (only used if base is 2-36 or decimal)
+   * @param baseAlphabet   the custom alphabet (only used if base is alphabet)
+   * @param baseWordList   the word list (only used if base is wordlist)
+   * @return {Array} the errors: [0] = selection error and [1] = interval error (empty strings if there are no errors)
+   * @private
+   */
+  function validateSelection(url, selection, selectionStart, interval, base, baseDateFormat, negative, baseAlphabet, baseWordList) {
+    return [
+      // [0] = Selection Errors
+      selection === "" ? chrome.i18n.getMessage("selection_blank_error") :
+      url.indexOf(selection) === -1 ? chrome.i18n.getMessage("selection_notinurl_error") :
+      base === "date" ?
+        !baseDateFormat ? chrome.i18n.getMessage("base_date_format_blank_error") :
+        !URLI.IncrementDecrement.parseDate(selection, baseDateFormat) ? chrome.i18n.getMessage("selection_date_error") :
+        selectionStart < 0 || url.substr(selectionStart, selection.length) !== selection ? chrome.i18n.getMessage("selectionstart_invalid_error") : "" :
+      base === "roman" ?
+        isNaN(URLI.IncrementDecrement.parseRoman(selection)) ? chrome.i18n.getMessage("selection_roman_error") :
+        selectionStart < 0 || url.substr(selectionStart, selection.length) !== selection ? chrome.i18n.getMessage("selectionstart_invalid_error") : "" :
+      base === "alphabet" ?
+        !baseAlphabet ? chrome.i18n.getMessage("base_alphabet_missing_error") :
+        URLI.IncrementDecrement.parseAlphabet(selection, baseAlphabet) === undefined ? chrome.i18n.getMessage("selection_alphabet_error") :
+        selectionStart < 0 || url.substr(selectionStart, selection.length) !== selection ? chrome.i18n.getMessage("selectionstart_invalid_error") : "" :
+      base === "wordlist" ?
+        !baseWordList ? chrome.i18n.getMessage("base_wordlist_missing_error") :
+        URLI.IncrementDecrement.parseWord(selection, baseWordList) === undefined ? chrome.i18n.getMessage("selection_wordlist_error") :
+        selectionStart < 0 || url.substr(selectionStart, selection.length) !== selection ? chrome.i18n.getMessage("selectionstart_invalid_error") : "" :
+      base === "decimal" ?
+        !(negative ? /^-?\d+(\.\d+)?$/ : /^\d+(\.\d+)?$/).test(selection) ? chrome.i18n.getMessage("selection_decimal_error") :
+        selectionStart < 0 || url.substr(selectionStart, selection.length) !== selection ? chrome.i18n.getMessage("selectionstart_invalid_error") :
+        +selection.replace(".", "") >= Number.MAX_SAFE_INTEGER ? chrome.i18n.getMessage("selection_toolarge_error") : "" :
+      !(negative ? /^-?[a-z0-9]+$/i : /^[a-z0-9]+$/i).test(selection) ? chrome.i18n.getMessage("selection_notalphanumeric_error") :
+      selectionStart < 0 || url.substr(selectionStart, selection.length) !== selection ? chrome.i18n.getMessage("selectionstart_invalid_error") :
+      URLI.IncrementDecrement.parseBigInt(selection, base) === undefined ? chrome.i18n.getMessage("selection_base_error") : "",
+      // [1] Interval Errors
+      base === "decimal" ?
+        interval <= 0 || interval >= Number.MAX_SAFE_INTEGER || !/^\d+(\.\d+)?$/.test(interval + "") ? chrome.i18n.getMessage("interval_decimal_invalid_error") : "" :
+      isNaN(base) && base !== "alphabet" ?
+        interval < 1 || !Number.isSafeInteger(interval) ? chrome.i18n.getMessage("interval_invalid_error") : "" :
+      !/^\d+$/.test(interval + "") || BigInt(interval) < 1 ? chrome.i18n.getMessage("interval_invalid_error") : ""
+    ];
+  }
+
+  /**
+   * Parses a Min or Max bound in the selection's base so that it can be validated and compared with the other bound.
+   * Bounds are in the same base as the selection: decimal numbers for decimal and roman numerals for roman.
+   *
+   * @param bound the bound to parse (e.g. 1.5, xx, or -20)
+   * @param base  the base of the selection (2-36, decimal, or roman)
+   * @return the bound's value (a Number for decimal and roman, otherwise a BigInt) or undefined if it isn't valid
+   * @private
+   */
+  function parseBound(bound, base) {
+    if (base === "decimal") {
+      return /^-?\d+(\.\d+)?$/.test(bound) ? +bound : undefined;
+    }
+    if (base === "roman") {
+      const value = URLI.IncrementDecrement.parseRoman(bound);
+      return isNaN(value) ? undefined : value;
+    }
+    return URLI.IncrementDecrement.parseBigInt(bound, base);
+  }
+
+  /**
+   * Validates the multi parts against the URL. Each part is validated like a single selection, so if the URL was
+   * edited after the parts were added, the parts must still be at their positions.
+   *
+   * @param url the URL the parts are in
+   * @return {Array} the first part's errors that were found: [0] = selection error and [1] = interval error
+   * @private
+   */
+  function validateMultiParts(url) {
+    for (let part of multi) {
+      const errors = validateSelection(url, part.selection, part.selectionStart, part.interval, part.base, part.baseDateFormat, DOM["#negative-enable-input"].checked, part.baseAlphabet, part.baseWordList);
+      if (errors.some(error => error !== "")) {
+        return errors;
+      }
+    }
+    return ["", ""];
+  }
+
+  /**
+   * Reads the interval input. Integer intervals that are too large to be a safe Number are kept as a string of digits
+   * so that they don't lose their precision (they are converted to a BigInt when the selection is modified).
+   *
+   * @return {number|string} the interval
+   * @private
+   */
+  function readInterval() {
+    const value = DOM["#interval-input"].value.trim();
+    return /^\d+$/.test(value) && !Number.isSafeInteger(+value) ? value : +value;
+  }
+
+  /**
+   * Reads the base select. Custom alphabet options have a value of "alphabet:" followed by the alphabet's name, so the
+   * base is "alphabet" and the alphabet itself is looked up from the storage items by its name. Word list options work
+   * the same way with "wordlist:".
+   *
+   * @return {*} JSON object {base, baseAlphabet, baseWordList}
+   * @private
+   */
+  function readBase() {
+    const value = DOM["#base-select"].value;
+    if (value.startsWith("alphabet:")) {
+      return { "base": "alphabet", "baseAlphabet": (items_.alphabets || []).find(alphabet => "alphabet:" + alphabet.name === value), "baseWordList": undefined };
+    }
+    if (value.startsWith("wordlist:")) {
+      return { "base": "wordlist", "baseAlphabet": undefined, "baseWordList": (items_.wordLists || []).find(wordList => "wordlist:" + wordList.name === value) };
+    }
+    return { "base": isNaN(value) ? value : +value, "baseAlphabet": undefined, "baseWordList": undefined };
+  }
+
+  /**
+   * Builds a multi part from the current selection and its properties (interval, base, leading zeros).
+   *
+   * @return {*} the part
+   * @private
+   */
+  function buildMultiPart() {
+    const baseProps = readBase();
+    return {
+      "selection": DOM["#selection-input"].value,
+      "selectionStart": +DOM["#selection-start-input"].value,
+      "interval": readInterval(),
+      "base": baseProps.base,
+      "baseAlphabet": baseProps.baseAlphabet,
+      "baseWordList": baseProps.baseWordList,
+      "baseCase": DOM["#base-case-uppercase-input"].checked ? "uppercase" : DOM["#base-case-lowercase-input"].checked ? "lowercase" : undefined,
+      "baseDateFormat": DOM["#base-date-format-input"].value,
+      "baseDateUnit": DOM["#base-date-unit-select"].value,
+      "leadingZeros": DOM["#leading-zeros-input"].checked,
+      "selectionParam": DOM["#selection-param-input"].checked ? URLI.IncrementDecrement.findSelectionParam(DOM["#url-textarea"].value, DOM["#selection-input"].value, +DOM["#selection-start-input"].value) || null : null
+    };
+  }
+
+  /**
+   * Adds the current selection as a multi part if it's valid, doesn't overlap another part, and there is room for it.
+   *
+   * @private
+   */
+  function addMultiPart() {
+    const part = buildMultiPart(),
+          errors = validateSelection(DOM["#url-textarea"].value, part.selection, part.selectionStart, part.interval, part.base, part.baseDateFormat, DOM["#negative-enable-input"].checked, part.baseAlphabet, part.baseWordList).concat([
+            multi.length >= 3 ? chrome.i18n.getMessage("multi_max_error") : "",
+            DOM["#encoded-param-select"].value ? chrome.i18n.getMessage("encoded_multi_error") : "",
+            DOM["#selection-param-input"].checked && !part.selectionParam ? chrome.i18n.getMessage("selection_param_error") : "",
+            multi.some(other => part.selectionStart < other.selectionStart + other.selection.length && other.selectionStart < part.selectionStart + part.selection.length) ? chrome.i18n.getMessage("multi_overlap_error") : ""
+          ]);
+    if (errors.some(error => error !== "")) {
+      errors.unshift(chrome.i18n.getMessage("oops_error"));
+      URLI.UI.generateAlert(errors);
+    } else {
+      multi.push(part);
+      updateMultiParts();
+    }
+  }
+
+  /**
+   * Updates the multi parts text to show the parts that have been added so far (e.g. "1: 3 [+1] 2: 12 [+2]").
+   *
+   * @private
+   */
+  function updateMultiParts() {
+    DOM["#multi-parts"].textContent = multi.map((part, index) => (index + 1) + ": " + part.selection + " [+" + part.interval + "]").join("  ");
+    DOM["#multi-reset-button"].className = multi.length > 0 ? "" : "display-none";
+  }
+
+  /**
+   * Imports a list of URLs from a text file (one URL per line) into the list textarea and enables the list.
+   *
+   * @param file the text file to import
+   * @private
+   */
+  function importList(file) {
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = function() {
+      DOM["#list-textarea"].value = reader.result;
+      DOM["#list-enable-input"].checked = true;
+    };
+    reader.readAsText(file);
+  }
+
+  /**
+   * Reads the list textarea and returns its URLs, ignoring blank lines.
+   *
+   * @return {string[]} the list of URLs
+   * @private
+   */
+  function readList() {
+    return DOM["#list-textarea"].value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Builds the encoded parameter options from the URL's parameters. Each option's value is the parameter as JSON.
+   *
+   * @param value the option value to keep selected if the URL still has its parameter (or "" for none)
+   * @private
+   */
+  function buildEncodedParamOptions(value) {
+    const select = DOM["#encoded-param-select"];
+    select.length = 1; // Keeps the none option
+    for (let located of URLI.IncrementDecrement.listParams(DOM["#url-textarea"].value)) {
+      if (!located.value) {
+        continue;
+      }
+      const option = document.createElement("option");
+      option.value = JSON.stringify(located.param);
+      option.textContent = (located.param.type === "path" ? "/" : located.param.type === "hash" ? "#" + located.param.name + "=" : located.param.name + "=") + located.value;
+      select.appendChild(option);
+    }
+    select.value = Array.from(select.options).some(option => option.value === value) ? value : "";
+  }
+
+  /**
+   * Reads the encoded parameter that was chosen.
+   *
+   * @return {*} the parameter {type, name, index, encoding} or null if no parameter was chosen
+   * @private
+   */
+  function readEncodedParam() {
+    return DOM["#encoded-param-select"].value ? Object.assign(JSON.parse(DOM["#encoded-param-select"].value), {"encoding": DOM["#encoded-encoding-select"].value}) : null;
+  }
+
+  /**
+   * Handles choosing a different encoded parameter (whose encoding is then detected) or encoding. The selection is
+   * cleared, as it has to be selected again in the new decoded value.
+   *
+   * @private
+   */
+  function changeEncoded() {
+    const param = readEncodedParam();
+    if (this === DOM["#encoded-param-select"] && param) {
+      DOM["#encoded-encoding-select"].value = URLI.IncrementDecrement.detectParamEncoding(DOM["#url-textarea"].value, param) || "base64";
+    }
+    DOM["#selection-input"].value = "";
+    DOM["#selection-start-input"].value = -1;
+    updateEncoded();
+  }
+
+  /**
+   * Updates the encoded textarea to show the encoded parameter's decoded value, or hides it if no parameter was chosen.
+   *
+   * @private
+   */
+  function updateEncoded() {
+    const param = readEncodedParam(),
+          decoded = param ? URLI.IncrementDecrement.decodeParam(DOM["#url-textarea"].value, param) : undefined;
+    DOM["#encoded-textarea"].value = decoded ? decoded.decoded : "";
+    DOM["#encoded-textarea"].placeholder = param && !decoded ? chrome.i18n.getMessage("encoded_decode_error") : "";
+    DOM["#encoded-textarea"].className = param ? "display-block fade-in" : "display-none";
+  }
+
+  /**
+   * Builds the saved template options in the template select. Each option's value is the template itself.
+   *
+   * @param templates the saved templates array [{name, template}]
+   * @private
+   */
+  function buildTemplateOptions(templates) {
+    for (let template of templates || []) {
+      const option = document.createElement("option");
+      option.value = template.template;
+      option.textContent = template.name;
+      DOM["#template-select"].appendChild(option);
+    }
+  }
+
   /**
    * Sets up the instance in increment decrement mode. First validates user input for any
    * errors, then saves and enables the instance, then toggles the view back to
@@ -565,11 +933,37 @@ URLI.Popup = function () {
     const url = DOM["#url-textarea"].value,
         selection = DOM["#selection-input"].value,
         selectionStart = +DOM["#selection-start-input"].value,
-        interval = +DOM["#interval-input"].value,
-        base = +DOM["#base-select"].value,
+        interval = readInterval(),
+        baseProps = readBase(),
+        base = baseProps.base,
+        baseAlphabet = baseProps.baseAlphabet,
+        baseWordList = baseProps.baseWordList,
         baseCase = DOM["#base-case-uppercase-input"].checked ? "uppercase" : DOM["#base-case-lowercase-input"].checked ? "lowercase" : undefined,
-        selectionParsed = parseInt(selection, base).toString(base),
+        baseDateFormat = DOM["#base-date-format-input"].value,
+        baseDateUnit = DOM["#base-date-unit-select"].value,
         leadingZeros = DOM["#leading-zeros-input"].checked,
+        selectionParamEnabled = DOM["#selection-param-input"].checked,
+        encodedParam = readEncodedParam(),
+        encoded = encodedParam ? URLI.IncrementDecrement.decodeParam(url, encodedParam) : undefined,
+        // A selection in an encoded parameter is always bound to it
+        selectionParam = encodedParam ? encodedParam : selectionParamEnabled ? URLI.IncrementDecrement.findSelectionParam(url, selection, selectionStart) || null : null,
+        boundMin = DOM["#bound-min-input"].value.trim(),
+        boundMax = DOM["#bound-max-input"].value.trim(),
+        boundBehavior = DOM["#bound-behavior-select"].value,
+        negativeEnabled = DOM["#negative-enable-input"].checked,
+        boundsBases = multi.length > 0 ? multi.map(part => part.base) : [base],
+        shuffleEnabled = DOM["#shuffle-enable-input"].checked,
+        shuffleStart = DOM["#shuffle-start-input"].value.trim(),
+        shuffleEnd = DOM["#shuffle-end-input"].value.trim(),
+        derivedText = DOM["#derived-textarea"].value,
+        derived = URLI.IncrementDecrement.parseDerivedRules(derivedText, multi.length > 0 ? multi[0].selectionParam : selectionParam),
+        listEnabled = DOM["#list-enable-input"].checked,
+        list = readList(),
+        templateEnabled = DOM["#template-enable-input"].checked,
+        template = DOM["#template-input"].value.trim(),
+        templateStart = +DOM["#template-start-input"].value,
+        templateEnd = DOM["#template-end-input"].value === "" ? "" : +DOM["#template-end-input"].value,
+        navigation = DOM["#navigation-select"].value,
         errorSkip = +DOM["#error-skip-input"].value,
         autoEnabled = DOM["#auto-toggle-input"].checked,
         autoAction = DOM["#auto-action-select"].value,
@@ -591,23 +985,57 @@ URLI.Popup = function () {
         downloadTags = DOM["#download-tags-generated"].value.split(","),
         downloadAttributes = DOM["#download-attributes-generated"].value.split(","),
 
-        // Increment Decrement Errors
+        // Increment Decrement Errors (if multi parts have been added, the parts are validated instead of the selection, and a list or template doesn't need a selection)
+        // A selection in an encoded parameter is validated against its decoded value
+        selectionErrors = listEnabled || templateEnabled ? ["", ""] : multi.length > 0 ? validateMultiParts(url) : validateSelection(encodedParam ? (encoded ? encoded.decoded : "") : url, selection, selectionStart, interval, base, baseDateFormat, negativeEnabled, baseAlphabet, baseWordList),
         errors = [ // [0] = selection errors and [1] = interval errors
           // [0] = Selection Errors
-          selection === "" ? chrome.i18n.getMessage("selection_blank_error") :
-          url.indexOf(selection) === -1 ? chrome.i18n.getMessage("selection_notinurl_error") :
-          !/^[a-z0-9]+$/i.test(selection) ? chrome.i18n.getMessage("selection_notalphanumeric_error") :
-          selectionStart < 0 || url.substr(selectionStart, selection.length) !== selection ? chrome.i18n.getMessage("selectionstart_invalid_error") :
-          parseInt(selection, base) >= Number.MAX_SAFE_INTEGER ? chrome.i18n.getMessage("selection_toolarge_error") :
-          isNaN(parseInt(selection, base)) || selection.toUpperCase() !== ("0".repeat(selection.length - selectionParsed.length) + selectionParsed.toUpperCase()) ? chrome.i18n.getMessage("selection_base_error") : "",
+          selectionErrors[0],
           // [1] Interval Errors
-          interval < 1 || interval >= Number.MAX_SAFE_INTEGER ? chrome.i18n.getMessage("interval_invalid_error") : "",
+          selectionErrors[1],
           // [2] Error Skip Errors
-          errorSkip < 0 || errorSkip > 100 ? chrome.i18n.getMessage("error_skip_invalid_error") : ""
+          errorSkip < 0 || errorSkip > 100 ? chrome.i18n.getMessage("error_skip_invalid_error") : "",
+          // [3] Bounds Errors
+          !boundMin && !boundMax ? "" :
+          boundsBases.some(boundsBase => isNaN(boundsBase) && boundsBase !== "decimal" && boundsBase !== "roman") ? chrome.i18n.getMessage("bound_base_error") :
+          [boundMin, boundMax].some(bound => bound && ((!negativeEnabled && bound.charAt(0) === "-") || boundsBases.some(boundsBase => parseBound(bound, boundsBase) === undefined))) ? chrome.i18n.getMessage("bound_invalid_error") :
+          boundMin && boundMax && boundsBases.some(boundsBase => parseBound(boundMin, boundsBase) > parseBound(boundMax, boundsBase)) ? chrome.i18n.getMessage("bound_range_error") :
+          // Word lists and roman numerals are bounded by their first and last words (I and MMMCMXCIX), so they can wrap or bounce without a min and max
+          boundBehavior !== "stop" && !boundsBases.some(boundsBase => boundsBase === "wordlist" || boundsBase === "roman") && (!boundMin || !boundMax) ? chrome.i18n.getMessage("bound_behavior_error") : "",
+          // [4] Shuffle Errors (only checked if the selection and interval are valid)
+          !shuffleEnabled || listEnabled || templateEnabled || selectionErrors.some(error => error !== "") ? "" :
+          multi.length > 0 ? chrome.i18n.getMessage("shuffle_multi_error") :
+          isNaN(base) ? chrome.i18n.getMessage("shuffle_base_error") :
+          [shuffleStart, shuffleEnd].some(value => URLI.IncrementDecrement.parseBigInt(value, base) === undefined) ? chrome.i18n.getMessage("shuffle_invalid_error") :
+          URLI.IncrementDecrement.parseBigInt(shuffleStart, base) > URLI.IncrementDecrement.parseBigInt(shuffleEnd, base) ? chrome.i18n.getMessage("shuffle_range_error") :
+          (URLI.IncrementDecrement.parseBigInt(shuffleEnd, base) - URLI.IncrementDecrement.parseBigInt(shuffleStart, base)) / BigInt(interval) >= BigInt(Number.MAX_SAFE_INTEGER) ? chrome.i18n.getMessage("shuffle_toolarge_error") : "",
+          // [5] List Errors
+          !listEnabled ? "" :
+          list.length === 0 ? chrome.i18n.getMessage("list_empty_error") :
+          multi.length > 0 || shuffleEnabled ? chrome.i18n.getMessage("list_conflict_error") :
+          list.some(listURL => !/^https?:\/\/\S+$/i.test(listURL)) ? chrome.i18n.getMessage("list_invalid_error") : "",
+          // [6] Template Errors
+          !templateEnabled ? "" :
+          !URLI.IncrementDecrement.parseTemplate(template) ? chrome.i18n.getMessage("template_invalid_error") :
+          !Number.isSafeInteger(templateStart) || (templateEnd !== "" && !Number.isSafeInteger(templateEnd)) ? chrome.i18n.getMessage("template_range_invalid_error") :
+          templateEnd !== "" && templateStart > templateEnd ? chrome.i18n.getMessage("template_range_error") :
+          multi.length > 0 || shuffleEnabled || listEnabled ? chrome.i18n.getMessage("template_conflict_error") :
+          URLI.IncrementDecrement.renderTemplate(template, templateStart) === undefined ? chrome.i18n.getMessage("template_render_error") : "",
+          // [7] Selection Parameter Errors (multi parts were already checked when they were added)
+          selectionParamEnabled && !selectionParam && multi.length === 0 && !listEnabled && !templateEnabled ? chrome.i18n.getMessage("selection_param_error") : "",
+          // [8] Derived Parameter Errors (the expressions use the selection's value, or the first part's if there are multi parts)
+          !derivedText.trim() || listEnabled || templateEnabled ? "" :
+          !derived ? chrome.i18n.getMessage("derived_invalid_error") :
+          isNaN(multi.length > 0 ? multi[0].base : base) ? chrome.i18n.getMessage("derived_base_error") : "",
+          // [9] Encoded Parameter Errors
+          !encodedParam || listEnabled || templateEnabled ? "" :
+          !encoded ? chrome.i18n.getMessage("encoded_decode_error") :
+          multi.length > 0 ? chrome.i18n.getMessage("encoded_multi_error") : ""
         ],
         // Auto Errors
         autoErrors = [
-          autoEnabled && (autoAction === "next" || autoAction === "prev") && !items_.permissionsEnhancedMode ? chrome.i18n.getMessage("auto_next_prev_error") : "",
+          autoEnabled && (autoAction === "next" || autoAction === "prev") && !listEnabled && !items_.permissionsEnhancedMode ? chrome.i18n.getMessage("auto_next_prev_error") : "",
+          autoEnabled && autoAction === "click" && !items_.permissionsEnhancedMode ? chrome.i18n.getMessage("auto_click_error") : "",
           autoEnabled && (autoTimes < 1 || autoTimes > 100000) ? chrome.i18n.getMessage("auto_times_invalid_error") : "",
           autoEnabled && (autoSeconds < 1 || autoSeconds > 3600) ? chrome.i18n.getMessage("auto_seconds_invalid_error") : "",
           // TODO: Should we give the user the option or should this be enforced? autoEnabled && downloadEnabled && !autoWait ? chrome.i18n.getMessage("auto_download_wait_error") : "",
@@ -620,7 +1048,7 @@ URLI.Popup = function () {
         errorsExist = errors.some(error => error !== ""),
         autoErrorsExist = autoErrors.some(error => error !== ""),
         downloadErrorsExist = downloadErrors.some(error => error !== ""),
-        enabled = !errorsExist && autoEnabled ? (autoAction !== "next" && autoAction !== "prev") : !errorsExist,
+        enabled = !errorsExist && autoEnabled ? (listEnabled || (autoAction !== "next" && autoAction !== "prev" && autoAction !== "click")) : !errorsExist,
         
         /* Validates Rules:
         1. Auto is NOT enabled, Download is NOT enabled: Check if errors exist, else validated
@@ -633,11 +1061,11 @@ URLI.Popup = function () {
         validated = !autoEnabled && !downloadEnabled ?
                  !errorsExist :
                autoEnabled ? 
-                 autoAction === "increment" || autoAction === "decrement" ?
+                 autoAction === "increment" || autoAction === "decrement" || (listEnabled && autoAction !== "click") ?
                    !downloadEnabled ?
                      !errorsExist && !autoErrorsExist : 
                      !errorsExist && !autoErrorsExist && !downloadErrorsExist :
-                 // e.g. autoAction === "next" || autoAction === "prev"
+                 // e.g. autoAction === "next" || autoAction === "prev" || autoAction === "click"
                    !downloadEnabled ?
                      !autoErrorsExist :
                      !autoErrorsExist && !downloadErrorsExist :
@@ -670,7 +1098,47 @@ URLI.Popup = function () {
         instance.interval = interval;
         instance.base = base;
         instance.baseCase = baseCase;
+        instance.baseDateFormat = baseDateFormat;
+        instance.baseDateUnit = baseDateUnit;
+        instance.baseAlphabet = baseAlphabet;
+        instance.baseWordList = baseWordList;
         instance.leadingZeros = leadingZeros;
+        instance.selectionParam = selectionParam;
+        instance.boundMin = boundMin;
+        instance.boundMax = boundMax;
+        instance.boundBehavior = boundBehavior;
+        instance.negativeEnabled = negativeEnabled;
+        instance.boundReversed = false; // always starts heading in the action's direction
+        instance.shuffleEnabled = shuffleEnabled;
+        instance.shuffleStart = shuffleStart;
+        instance.shuffleEnd = shuffleEnd;
+        instance.listEnabled = listEnabled;
+        instance.list = list;
+        instance.listPosition = list.indexOf(url); // if the current URL isn't in the list, the first increment goes to the first URL
+        instance.templateEnabled = templateEnabled;
+        instance.template = template;
+        instance.templateStart = templateStart;
+        instance.templateEnd = templateEnd;
+        // If the current URL is the template's start, we're already there, otherwise the first increment goes to the start
+        instance.templateValue = templateEnabled && URLI.IncrementDecrement.renderTemplate(template, templateStart) === url ? templateStart : templateStart - 1;
+        instance.derived = derived || [];
+        instance.multiEnabled = multi.length > 0;
+        instance.multiCount = multi.length;
+        instance.multi = multi;
+        // If multi is enabled, the instance's selection properties mirror the first part
+        if (instance.multiEnabled) {
+          multi.forEach(part => part.boundReversed = false);
+          Object.assign(instance, multi[0]);
+        }
+        // Shuffle always starts over with a new random order (the current selection counts as already visited)
+        if (instance.shuffleEnabled) {
+          URLI.IncrementDecrement.resetShuffle(instance);
+        } else {
+          instance.shuffleOrder = [];
+          instance.shufflePosition = -1;
+          instance.shuffleSwaps = {};
+        }
+        instance.navigation = navigation;
         instance.errorSkip = errorSkip;
         instance.autoEnabled = autoEnabled;
         instance.autoAction = autoAction;
@@ -698,7 +1166,14 @@ URLI.Popup = function () {
             "interval": interval,
             "base": base,
             "baseCase": baseCase,
-            "errorSkip": errorSkip
+            "baseDateFormat": baseDateFormat,
+            "baseDateUnit": baseDateUnit,
+            "baseAlphabet": baseAlphabet ? baseAlphabet : null,
+            "baseWordList": baseWordList ? baseWordList : null,
+            "boundBehavior": boundBehavior,
+            "negativeEnabled": negativeEnabled,
+            "errorSkip": errorSkip,
+            "navigation": navigation
           });
         }
         if (instance.autoEnabled) {
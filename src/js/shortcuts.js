@@ -28,7 +28,8 @@ URLI.Shortcuts = function () {
   /**
    * A key up event listener for keyboard shortcuts.
    * 
-   * Listens for increment, decrement, next, prev, clear, and auto keyboard shortcuts.
+   * Listens for increment, decrement, next, prev, click, clear, and auto keyboard shortcuts, as well as the multi part
+   * increment and decrement keyboard shortcuts (e.g. increment2).
    * 
    * @param event the key event
    * @public
@@ -38,14 +39,21 @@ URLI.Shortcuts = function () {
     else if (keyPressed(event, items_.keyDecrement)) { chrome.runtime.sendMessage({greeting: "performAction", action: "decrement"}); }
     else if (keyPressed(event, items_.keyNext))      { chrome.runtime.sendMessage({greeting: "performAction", action: "next"}); }
     else if (keyPressed(event, items_.keyPrev))      { chrome.runtime.sendMessage({greeting: "performAction", action: "prev"}); }
+    else if (keyPressed(event, items_.keyClick))     { chrome.runtime.sendMessage({greeting: "performAction", action: "click"}); }
     else if (keyPressed(event, items_.keyClear))     { chrome.runtime.sendMessage({greeting: "performAction", action: "clear"}); }
     else if (keyPressed(event, items_.keyAuto))      { chrome.runtime.sendMessage({greeting: "performAction", action: "auto"}); }
+    else if (keyPressed(event, items_.keyIncrement1)) { chrome.runtime.sendMessage({greeting: "performAction", action: "increment1"}); }
+    else if (keyPressed(event, items_.keyDecrement1)) { chrome.runtime.sendMessage({greeting: "performAction", action: "decrement1"}); }
+    else if (keyPressed(event, items_.keyIncrement2)) { chrome.runtime.sendMessage({greeting: "performAction", action: "increment2"}); }
+    else if (keyPressed(event, items_.keyDecrement2)) { chrome.runtime.sendMessage({greeting: "performAction", action: "decrement2"}); }
+    else if (keyPressed(event, items_.keyIncrement3)) { chrome.runtime.sendMessage({greeting: "performAction", action: "increment3"}); }
+    else if (keyPressed(event, items_.keyDecrement3)) { chrome.runtime.sendMessage({greeting: "performAction", action: "decrement3"}); }
   }
 
   /**
    * A mouse up event listener for mouse button shortcuts.
    * 
-   * Listens for increment, decrement, next, prev, clear, and auto mouse button shortcuts.
+   * Listens for increment, decrement, next, prev, click, clear, and auto mouse button shortcuts.
    * 
    * @param event the mouse button event
    * @public
@@ -55,6 +63,7 @@ URLI.Shortcuts = function () {
     else if (mousePressed(event, items_.mouseDecrement)) { chrome.runtime.sendMessage({greeting: "performAction", action: "decrement"}); }
     else if (mousePressed(event, items_.mouseNext))      { chrome.runtime.sendMessage({greeting: "performAction", action: "next"}); }
     else if (mousePressed(event, items_.mousePrev))      { chrome.runtime.sendMessage({greeting: "performAction", action: "prev"}); }
+    else if (mousePressed(event, items_.mouseClick))     { chrome.runtime.sendMessage({greeting: "performAction", action: "click"}); }
     else if (mousePressed(event, items_.mouseClear))     { chrome.runtime.sendMessage({greeting: "performAction", action: "clear"}); }
     else if (mousePressed(event, items_.mouseAuto))      { chrome.runtime.sendMessage({greeting: "performAction", action: "auto"}); }
   }
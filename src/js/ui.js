@@ -47,9 +47,55 @@ URLI.UI = function () {
     setTimeout(function () { el.classList.add(effect); }, 50);
   }
 
+  /**
+   * Builds the custom alphabet options in a base select. Any existing alphabet options are removed first. Each option's
+   * value is "alphabet:" followed by the alphabet's name.
+   *
+   * @param select    the base select DOM element
+   * @param alphabets the custom alphabets array [{name, characters, counting}]
+   * @public
+   */
+  function buildAlphabetOptions(select, alphabets) {
+    for (let option of [...select.options]) {
+      if (option.value.startsWith("alphabet:")) {
+        select.removeChild(option);
+      }
+    }
+    for (let alphabet of alphabets || []) {
+      const option = document.createElement("option");
+      option.value = "alphabet:" + alphabet.name;
+      option.textContent = chrome.i18n.getMessage("base_option_alphabet") + " " + alphabet.name;
+      select.appendChild(option);
+    }
+  }
+
+  /**
+   * Builds the word list options in a base select. Any existing word list options are removed first. Each option's
+   * value is "wordlist:" followed by the word list's name.
+   *
+   * @param select    the base select DOM element
+   * @param wordLists the word lists array [{name, words}]
+   * @public
+   */
+  function buildWordListOptions(select, wordLists) {
+    for (let option of [...select.options]) {
+      if (option.value.startsWith("wordlist:")) {
+        select.removeChild(option);
+      }
+    }
+    for (let wordList of wordLists || []) {
+      const option = document.createElement("option");
+      option.value = "wordlist:" + wordList.name;
+      option.textContent = chrome.i18n.getMessage("base_option_wordlist") + " " + wordList.name;
+      select.appendChild(option);
+    }
+  }
+
   // Return Public Functions
   return {
     generateAlert: generateAlert,
-    clickHoverCss: clickHoverCss
+    clickHoverCss: clickHoverCss,
+    buildAlphabetOptions: buildAlphabetOptions,
+    buildWordListOptions: buildWordListOptions
   };
 }();
\ No newline at end of file